@@ -24,7 +24,7 @@ const config = {
 // Ensure dist/ exists
 if (!fs.existsSync('dist')) fs.mkdirSync('dist');
 
-// Copy sql-wasm.wasm AND sql-wasm.js to dist/ (required by antigravity-sdk's StateBridge)
+// Copy sql-wasm.wasm AND sql-wasm.js to dist/ (required by antigravity-sdk's StateBridge and the conversation export)
 const sqlFiles = ['sql-wasm.wasm', 'sql-wasm.js'];
 for (const sqlFile of sqlFiles) {
     const searchPaths = [
@@ -7,29 +7,83 @@
  *   npx better-antigravity auto-run         — apply auto-run fix
  *   npx better-antigravity auto-run --check — check status
  *   npx better-antigravity auto-run --revert — revert fix
+ *   npx better-antigravity auto-run --dry-run — show what would change
+ *   npx better-antigravity auto-run --diff   — same, with a diff of the injected code
+ *   npx better-antigravity auto-run --json   — results as JSON, with meaningful exit codes
+ *   npx better-antigravity auto-run --deny "rm -rf" — never auto-run matching commands
+ *   npx better-antigravity auto-run --all   — apply to every installation (also --check / --revert)
+ *   npx better-antigravity doctor           — compatibility report for the installed build
+ *   npx better-antigravity list             — every installation with its version and patch state
+ *   npx better-antigravity watch            — re-apply fixes after Antigravity updates
+ *   npx better-antigravity export --all     — export conversations to Markdown / JSON
+ *   npx better-antigravity inspect          — why auto-run does or doesn't fire
+ *   npx better-antigravity history          — past applies, reverts and re-applies
+ *   npx better-antigravity report           — signature report for an unsupported build
+ *   npx better-antigravity uninstall        — revert everything, restore a pristine Antigravity
  */
 
-const path = require('path');
-const fs = require('fs');
+const registry = require('./fixes');
+const { main } = require('./lib/cli/fix');
+const { fail } = require('./lib/cli/common');
 
-const fixes = {
-    'auto-run': {
-        script: path.join(__dirname, 'fixes', 'auto-run-fix', 'patch.js'),
-        description: '"Always Proceed" terminal policy doesn\'t auto-execute commands'
-    }
+const fixes = Object.fromEntries(registry.fixes.map(f => [f.id, f]));
+
+const commands = {
+    doctor: {
+        usage: 'doctor [--out <file>] [--json]',
+        description: 'Check every fix against the installed bundles, write a JSON report',
+        run: flags => require('./lib/cli/doctor').main(flags),
+    },
+    export: {
+        usage: 'export [--id <id> | --all]',
+        description: 'Export Cascade conversations to Markdown (--format json for JSON; custom titles only via --titles <file>)',
+        run: flags => require('./lib/cli/export').main(flags),
+    },
+    history: {
+        usage: 'history [--fix <id>] [--all]',
+        description: 'Show past applies, reverts and re-applies, with IDE versions',
+        run: flags => require('./lib/cli/history').main(flags),
+    },
+    inspect: {
+        usage: 'inspect [--json]',
+        description: 'Show the agent settings and patch state that decide auto-run',
+        run: flags => require('./lib/cli/inspect').main(flags),
+    },
+    list: {
+        usage: 'list [--path <dir>]',
+        description: 'List every Antigravity installation with its version and patch state',
+        run: flags => require('./lib/cli/list').main(flags),
+    },
+    report: {
+        usage: 'report [--out <file>] [--json]',
+        description: 'Write a sanitized signature report to attach to an issue',
+        run: flags => require('./lib/cli/report').main(flags),
+    },
+    uninstall: {
+        usage: 'uninstall [--force] [--all]',
+        description: 'Revert every fix, remove all backups, restore checksums, verify',
+        run: flags => require('./lib/cli/uninstall').main(flags),
+    },
+    watch: {
+        usage: 'watch [--path <dir>]',
+        description: 'Re-apply fixes whenever Antigravity updates its bundles',
+        run: flags => require('./lib/cli/watch').main(flags),
+    },
 };
 
 const args = process.argv.slice(2);
-const fixName = args[0];
+const name = args[0];
 const flags = args.slice(1);
 
-// Header
-console.log('');
-console.log('  better-antigravity — community fixes for Antigravity IDE');
-console.log('  https://github.com/Kanezal/better-antigravity');
-console.log('');
+// Header (stdout is reserved for the JSON document with --json)
+if (!flags.includes('--json')) {
+    console.log('');
+    console.log('  better-antigravity — community fixes for Antigravity IDE');
+    console.log('  https://github.com/Kanezal/better-antigravity');
+    console.log('');
+}
 
-if (!fixName || fixName === '--help' || fixName === '-h') {
+if (!name || name === '--help' || name === '-h') {
     console.log('  Available fixes:');
     console.log('');
     for (const [name, fix] of Object.entries(fixes)) {
@@ -39,8 +93,24 @@ if (!fixName || fixName === '--help' || fixName === '-h') {
     console.log('  Usage:');
     console.log('    npx better-antigravity <fix-name>                   Apply fix');
     console.log('    npx better-antigravity <fix-name> --check           Check status');
-    console.log('    npx better-antigravity <fix-name> --revert          Revert fix');
+    console.log('    npx better-antigravity <fix-name> --revert          Revert fix (--force: even after an IDE update)');
+    console.log('    npx better-antigravity <fix-name> --dry-run         Show what would change, write nothing');
+    console.log('    npx better-antigravity <fix-name> --diff            Dry run plus a diff of the injected code');
+    console.log('    npx better-antigravity <fix-name> --json            Print results as JSON (apply, check, revert)');
     console.log('    npx better-antigravity <fix-name> --path <dir>      Use custom install path');
+    console.log('    npx better-antigravity <fix-name> --all             Every installation (apply, check, revert); --path adds more');
+    console.log('    npx better-antigravity <fix-name> --user-data-dir <dir>  Antigravity was started with --user-data-dir');
+    console.log('    npx better-antigravity auto-run --deny <rule>       Never auto-run matching commands (repeatable)');
+    console.log('    npx better-antigravity auto-run --allow <rule>      Only auto-run matching commands (repeatable)');
+    console.log('');
+    console.log('  Exit codes: 0 patched/ok, 1 error, 2 partially patched, 3 not patched (patchable),');
+    console.log('              4 incompatible, 5 installation not found, 6 auto-run blocked (inspect)');
+    console.log('');
+    console.log('  Commands:');
+    console.log('');
+    for (const cmd of Object.values(commands)) {
+        console.log(`    npx better-antigravity ${cmd.usage.padEnd(28)}${cmd.description}`);
+    }
     console.log('');
     console.log('  The tool auto-detects Antigravity in: CWD, PATH, Registry, default locations.');
     console.log('  Use --path if auto-detection fails (e.g. custom install on another drive).');
@@ -48,18 +118,12 @@ if (!fixName || fixName === '--help' || fixName === '-h') {
     process.exit(0);
 }
 
-const fix = fixes[fixName];
-if (!fix) {
-    console.log(`  Unknown fix: "${fixName}"`);
-    console.log(`  Available: ${Object.keys(fixes).join(', ')}`);
-    process.exit(1);
-}
-
-if (!fs.existsSync(fix.script)) {
-    console.log(`  Fix script not found: ${fix.script}`);
+if (commands[name]) {
+    Promise.resolve(commands[name].run(flags)).catch(fail);
+} else if (fixes[name]) {
+    main(fixes[name], flags).catch(fail);
+} else {
+    console.log(`  Unknown fix or command: "${name}"`);
+    console.log(`  Available: ${[...Object.keys(fixes), ...Object.keys(commands)].join(', ')}`);
     process.exit(1);
 }
-
-// Forward to the fix script with flags
-process.argv = [process.argv[0], fix.script, ...flags];
-require(fix.script);
@@ -0,0 +1,162 @@
+/**
+ * Auto-Run Fix — definition.
+ *
+ * The `run_command` step renderer has an onChange handler that auto-confirms
+ * when the user switches the dropdown to "Always Proceed", but no useEffect
+ * that acts on the saved policy at mount time. We inject that useEffect.
+ *
+ * Pattern we're looking for (structure, not exact names):
+ *   <VAR>=<useCallback>(<ARG>=>{
+ *       <stepHandler>?.setTerminalAutoExecutionPolicy?.(<ARG>),
+ *       <ARG>===<ENUM>.EAGER&&<CONFIRM_FN>(!0)
+ *   },[...])
+ *
+ * From the surrounding context we also extract:
+ *   <POLICY_VAR> = <stepHandler>?.terminalAutoExecutionPolicy ?? <ENUM>.OFF
+ *   <SECURE_VAR> = <stepHandler>?.secureModeEnabled ?? !1
+ *   <STEP>.commandLine  (only needed for allow/deny rules)
+ *
+ * See FIXES.md for the full root cause analysis.
+ */
+
+'use strict';
+
+/**
+ * Compile an allow/deny rule into a regex literal for the injected code.
+ *
+ * `/source/flags` is a regular expression; anything else matches anywhere
+ * in the command line, with `*` matching any text and whitespace matching
+ * any run of whitespace.
+ *
+ * @param {string} rule
+ * @returns {string}
+ */
+function ruleToRegExp(rule) {
+    const literal = /^\/(.+)\/([a-z]*)$/.exec(rule);
+    let re;
+    try {
+        re = literal
+            ? new RegExp(literal[1], literal[2])
+            : new RegExp(rule.trim().split(/\s+/).map(word =>
+                word.split('*').map(s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*')).join('\\s+'));
+    } catch (err) {
+        throw new Error(`Invalid auto-run rule "${rule}": ${err.message}`);
+    }
+    return String(re);
+}
+
+/** @type {import('../index').FixDefinition} */
+module.exports = {
+    id: 'auto-run',
+    name: 'Antigravity "Always Proceed" Auto-Run Fix',
+    description: '"Always Proceed" terminal policy doesn\'t auto-execute commands',
+
+    // Paths are relative to the app root (resources/app). The first existing
+    // candidate wins; older builds shipped the bundles under electron-browser.
+    targets: [
+        {
+            label: 'workbench',
+            paths: [
+                'out/vs/workbench/workbench.desktop.main.js',
+                'out/vs/code/electron-browser/workbench/workbench.desktop.main.js',
+            ],
+        },
+        {
+            label: 'jetskiAgent',
+            paths: [
+                'out/jetskiAgent/main.js',
+                'out/vs/code/electron-browser/workbench/jetskiAgent.js',
+            ],
+        },
+    ],
+
+    marker: '/*BA:autorun*/',
+    // Written by CLI versions before the shared engine (no marker comment)
+    legacyMarkers: [{ token: '_aep=', pattern: /_aep=\w+\(\(\)=>\{[^}]+EAGER/ }],
+
+    // Literal tokens the scanner indexes in its single pass over the bundle
+    tokens: ['setTerminalAutoExecutionPolicy', 'terminalAutoExecutionPolicy??', 'secureModeEnabled'],
+
+    signatures: [
+        {
+            step: 'onChange',
+            kind: 'anchor',
+            description: 'onChange handler pattern',
+            token: 'setTerminalAutoExecutionPolicy',
+            pattern: /(\w+)=(\w+)\((\w+)=>\{\w+\?\.setTerminalAutoExecutionPolicy\?\.\(\3\),\3===(\w+)\.EAGER&&(\w+)\(!0\)\},\[[\w,]*\]\)/,
+            captures: { callback: 2, enum: 4, confirm: 5 },
+        },
+        {
+            step: 'policyVar',
+            kind: 'regex',
+            description: 'policy variable',
+            window: [-2000, 0],
+            pattern: v => new RegExp(`(\\w+)=\\w+\\?\\.terminalAutoExecutionPolicy\\?\\?${v.enum}\\.OFF`),
+            captures: { policyVar: 1 },
+        },
+        {
+            step: 'secureVar',
+            kind: 'regex',
+            description: 'secureMode variable',
+            window: [-2000, 0],
+            pattern: /(\w+)=\w+\?\.secureModeEnabled\?\?!1/,
+            captures: { secureVar: 1 },
+        },
+        {
+            // useEffect: alias(()=>{STATEMENTS},[deps]) — no return value.
+            // Effects with a cleanup return are a strong signal, so they weigh more;
+            // they are rarer, so they are counted in a wider (but bounded) window.
+            step: 'useEffect',
+            kind: 'frequency',
+            description: 'useEffect alias',
+            capture: 'useEffect',
+            candidates: [
+                { window: [-5000, 5000], pattern: /\b(\w{2,3})\(\(\)=>\{[^}]{3,80}\},\[/g, weight: 1 },
+                { window: [-50000, 50000], pattern: /\b(\w{2,3})\(\(\)=>\{[^}]*return\s*\(\)=>/g, weight: 5 },
+            ],
+            exclude: v => [v.callback, 'var', 'new'],
+        },
+        {
+            // The step being rendered; allow/deny rules read its command line.
+            // The nearest access before the handler: earlier ones in the window
+            // can belong to another component.
+            step: 'command',
+            kind: 'regex',
+            description: 'command line of the step',
+            optional: true,
+            window: [-3000, 0],
+            last: true,
+            pattern: /\b([\w$]+(?:\??\.[\w$]+)*)\??\.commandLine\b/,
+            captures: { step: 1 },
+        },
+    ],
+
+    // Declared as an extra binding in the same declaration list as the handler.
+    // Without rules the snippet is the same as before rules existed, so
+    // bundles patched by older versions stay current.
+    injection: {
+        position: 'before',
+        /**
+         * @param {import('../index').FixVars} v
+         * @param {{ allow?: string[], deny?: string[] }} [settings]
+         */
+        template: (v, settings = {}) => {
+            const allow = (settings.allow || []).filter(r => r.trim()).map(ruleToRegExp);
+            const deny = (settings.deny || []).filter(r => r.trim()).map(ruleToRegExp);
+            const proceed = `${v.policyVar}===${v.enum}.EAGER&&!${v.secureVar}`;
+            if (allow.length === 0 && deny.length === 0) {
+                return `_aep=${v.useEffect}(()=>{${proceed}&&${v.confirm}(!0)},[]),`;
+            }
+            if (!v.step) {
+                throw new Error('Allow/deny rules need the command line of the step, which was not found in this build');
+            }
+            // Blocked commands are simply not confirmed: the Run button stays
+            const checks = [
+                deny.length ? `![${deny.join(',')}].some(_bam)` : '',
+                allow.length ? `[${allow.join(',')}].some(_bam)` : '',
+            ].filter(Boolean).join('&&');
+            return `_aep=${v.useEffect}(()=>{let _bac=String(${v.step}?.commandLine??""),_bam=r=>r.test(_bac);`
+                + `${proceed}&&${checks}&&${v.confirm}(!0)},[]),`;
+        },
+    },
+};
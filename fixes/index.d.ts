@@ -0,0 +1,82 @@
+/**
+ * Type declarations for the fix registry (fixes/index.js).
+ */
+
+/** Variables extracted from a bundle by the signature steps. */
+export type FixVars = Record<string, string>;
+
+/** A bundle a fix patches. Paths are relative to the app root (resources/app). */
+export interface FixTarget {
+    label: string;
+    /** Candidate locations, first existing one wins. */
+    paths: string[];
+}
+
+/** Per-fix user settings passed to the injection template (e.g. auto-run rules). */
+export type FixSettings = Record<string, unknown>;
+
+/** Slice of the bundle a step searches, as [start, end] offsets from the anchor. */
+export type FixWindow = [number, number];
+
+/** Finds the anchor code structure. Every other step is relative to it. */
+export interface AnchorSignature {
+    step: string;
+    kind: 'anchor';
+    description: string;
+    /** Literal every match contains; the scanner index narrows the search to it */
+    token?: string;
+    pattern: RegExp;
+    /** Variable name -> capture group index */
+    captures: Record<string, number>;
+}
+
+/** Extracts variables with a single regex match near the anchor. */
+export interface RegexSignature {
+    step: string;
+    kind: 'regex';
+    description: string;
+    /** Not finding it doesn't fail the analysis; its vars stay unset. */
+    optional?: boolean;
+    window?: FixWindow;
+    /** Take the last match in the window instead of the first (the nearest one when the window ends at the anchor). */
+    last?: boolean;
+    pattern: RegExp | ((vars: FixVars) => RegExp);
+    captures: Record<string, number>;
+}
+
+/** Picks the most frequent alias among weighted candidate patterns. */
+export interface FrequencySignature {
+    step: string;
+    kind: 'frequency';
+    description: string;
+    capture: string;
+    /** Global regexes, group 1 is the alias. No window = whole file. */
+    candidates: Array<{ pattern: RegExp; window?: FixWindow; weight: number }>;
+    exclude?: (vars: FixVars) => string[];
+}
+
+export type FixSignature = AnchorSignature | RegexSignature | FrequencySignature;
+
+export interface FixDefinition {
+    id: string;
+    name: string;
+    description: string;
+    targets: FixTarget[];
+    /** Prepended to the injected code; identifies patched bundles. */
+    marker: string;
+    /** Patches written by older tool versions: pattern must match at `token`. */
+    legacyMarkers?: Array<{ token: string; pattern: RegExp }>;
+    /** Literal tokens indexed by the scanner (anchors for diagnostics). */
+    tokens?: string[];
+    signatures: FixSignature[];
+    injection: {
+        /** Insert before or after the anchor match. */
+        position: 'before' | 'after';
+        /** May throw when the settings can't be honored in this bundle. */
+        template: (vars: FixVars, settings?: FixSettings) => string;
+    };
+}
+
+export const fixes: FixDefinition[];
+
+export function getFix(id: string): FixDefinition | null;
@@ -0,0 +1,24 @@
+/**
+ * Fix registry — every fix Better Antigravity knows how to apply.
+ *
+ * Loaded by both the CLI (cli.js) and the extension (src/auto-run.ts).
+ * To add a fix, create `fixes/<name>/fix.js` and list it here.
+ */
+
+'use strict';
+
+/** @type {import('./index').FixDefinition[]} */
+const fixes = [
+    require('./auto-run-fix/fix'),
+];
+
+/**
+ * Look up a fix by its id.
+ *
+ * @param {string} id
+ */
+function getFix(id) {
+    return fixes.find(f => f.id === id) || null;
+}
+
+module.exports = { fixes, getFix };
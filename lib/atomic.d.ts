@@ -0,0 +1,6 @@
+/**
+ * Type declarations for atomic file writes (lib/atomic.js).
+ */
+
+export function writeAtomic(filePath: string, data: Buffer | string): Promise<void>;
+export function copyAtomic(source: string, filePath: string): Promise<void>;
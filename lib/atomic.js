@@ -0,0 +1,48 @@
+/**
+ * Atomic file writes.
+ *
+ * Bundles are several MB; writing them in place means a crash or a second
+ * writer can leave a truncated file that Antigravity can't load. We write a
+ * temp file next to the target and rename it over the target instead, so
+ * readers see either the old or the new file, never half of one.
+ */
+
+'use strict';
+
+const fsp = require('fs/promises');
+
+function tempPath(filePath) {
+    return `${filePath}.ba-tmp-${process.pid}`;
+}
+
+/**
+ * Replace a file's contents atomically, keeping its permissions.
+ *
+ * @param {string} filePath
+ * @param {Buffer | string} data
+ */
+async function writeAtomic(filePath, data) {
+    const tmp = tempPath(filePath);
+    try {
+        await fsp.writeFile(tmp, data);
+        try {
+            await fsp.chmod(tmp, (await fsp.stat(filePath)).mode);
+        } catch { /* new file: default mode */ }
+        await fsp.rename(tmp, filePath);
+    } catch (err) {
+        await fsp.rm(tmp, { force: true });
+        throw err;
+    }
+}
+
+/**
+ * Copy a file over another atomically.
+ *
+ * @param {string} source
+ * @param {string} filePath
+ */
+async function copyAtomic(source, filePath) {
+    await writeAtomic(filePath, await fsp.readFile(source));
+}
+
+module.exports = { writeAtomic, copyAtomic };
@@ -0,0 +1,34 @@
+/**
+ * Type declarations for bundle backups (lib/backup.js).
+ */
+
+export const BACKUP_SUFFIX: string;
+export const LEGACY_BACKUP_SUFFIXES: string[];
+export const MANIFEST_SUFFIX: string;
+
+import { ChecksumRecord } from './checksums';
+
+export interface BackupManifest {
+    ideVersion: string;
+    originalSha256: string;
+    patchedSha256: string | null;
+    /** product.json checksum of the bundle before it was patched */
+    checksum?: ChecksumRecord;
+    createdAt: string;
+    updatedAt?: string;
+}
+
+export interface RestoreResult {
+    status: 'reverted' | 'no-backup' | 'stale-backup';
+    backup?: string;
+    manifest?: BackupManifest;
+    warning?: string;
+}
+
+export function sha256(data: Buffer | string): string;
+export function findBackup(filePath: string): string | null;
+export function readManifest(backupPath: string): Promise<BackupManifest | null>;
+export function removeBackup(backupPath: string): Promise<void>;
+export function ensureBackup(filePath: string, original: Buffer, ideVersion: string): Promise<{ backup: string; created: boolean; rotated?: string }>;
+export function recordPatched(backupPath: string, patched: Buffer | string, checksum?: ChecksumRecord | null): Promise<void>;
+export function restoreBackup(filePath: string, options?: { force?: boolean; tx?: object }): Promise<RestoreResult>;
@@ -0,0 +1,204 @@
+/**
+ * Bundle backups with version manifests.
+ *
+ * Next to each `<bundle>.ba-backup` we keep `<bundle>.ba-backup.json`:
+ *
+ *   { ideVersion, originalSha256, patchedSha256, checksum, createdAt, updatedAt }
+ *
+ * The hashes let us tell an Antigravity update (bundle replaced, backup now
+ * belongs to an older IDE version) from our own patch, so we never copy a
+ * stale bundle from a previous version over a new install. `checksum` is the
+ * bundle's product.json checksum before we patched it (see lib/checksums.js),
+ * put back together with the bundle.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const crypto = require('crypto');
+const { writeAtomic, copyAtomic } = require('./atomic');
+const checksums = require('./checksums');
+const scanner = require('./scanner');
+const { fixes } = require('../fixes');
+
+/** Backup suffix written by both tools. */
+const BACKUP_SUFFIX = '.ba-backup';
+
+/** Backup suffixes written by older versions (the CLI used `.bak`). */
+const LEGACY_BACKUP_SUFFIXES = ['.bak'];
+
+/** Manifest file stored next to a backup. */
+const MANIFEST_SUFFIX = '.json';
+
+/**
+ * @param {Buffer | string} data
+ */
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Find an existing backup of a bundle, in any format either tool wrote.
+ *
+ * @param {string} filePath
+ * @returns {string | null}
+ */
+function findBackup(filePath) {
+    for (const suffix of [BACKUP_SUFFIX, ...LEGACY_BACKUP_SUFFIXES]) {
+        if (fs.existsSync(filePath + suffix)) return filePath + suffix;
+    }
+    return null;
+}
+
+/**
+ * Read the manifest of a backup. Legacy backups have none.
+ *
+ * @param {string} backupPath
+ */
+async function readManifest(backupPath) {
+    try {
+        return JSON.parse(await fsp.readFile(backupPath + MANIFEST_SUFFIX, 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+async function writeManifest(backupPath, manifest) {
+    await writeAtomic(backupPath + MANIFEST_SUFFIX, JSON.stringify(manifest, null, 2) + '\n');
+}
+
+/**
+ * Delete a backup and its manifest.
+ *
+ * @param {string} backupPath
+ */
+async function removeBackup(backupPath) {
+    await fsp.rm(backupPath, { force: true });
+    await fsp.rm(backupPath + MANIFEST_SUFFIX, { force: true });
+}
+
+/**
+ * Make sure an up-to-date backup of an unpatched bundle exists.
+ *
+ * An existing backup is kept only if it holds exactly the bundle we are
+ * about to patch. Otherwise Antigravity replaced the bundle since the backup
+ * was taken, and the outdated backup is rotated out for a fresh one.
+ *
+ * @param {string} filePath
+ * @param {Buffer} original - current (unpatched) bundle contents
+ * @param {string} ideVersion
+ * @returns {Promise<{ backup: string, created: boolean, rotated?: string }>}
+ */
+async function ensureBackup(filePath, original, ideVersion) {
+    const originalSha256 = sha256(original);
+    const existing = findBackup(filePath);
+    let rotated;
+
+    if (existing) {
+        const manifest = await readManifest(existing);
+        const backupSha256 = manifest ? manifest.originalSha256 : sha256(await fsp.readFile(existing));
+        if (backupSha256 === originalSha256) {
+            if (!manifest) {
+                // Adopt a legacy backup by giving it a manifest
+                await writeManifest(existing, { ideVersion, originalSha256, patchedSha256: null, createdAt: new Date().toISOString() });
+            }
+            return { backup: existing, created: false };
+        }
+        rotated = manifest ? manifest.ideVersion : 'unknown';
+        await removeBackup(existing);
+    }
+
+    const backup = filePath + BACKUP_SUFFIX;
+    await writeAtomic(backup, original);
+    await writeManifest(backup, { ideVersion, originalSha256, patchedSha256: null, createdAt: new Date().toISOString() });
+    return { backup, created: true, rotated };
+}
+
+/**
+ * Record the hash of the bundle as we wrote it, and the product.json
+ * checksum it replaced. A checksum recorded by an earlier patch of the same
+ * backup is the true original and is kept.
+ *
+ * @param {string} backupPath
+ * @param {Buffer | string} patched
+ * @param {import('./checksums').ChecksumRecord | null} [checksum]
+ */
+async function recordPatched(backupPath, patched, checksum) {
+    const manifest = await readManifest(backupPath);
+    if (!manifest) return;
+    const recorded = manifest.checksum && checksum && manifest.checksum.key === checksum.key ? manifest.checksum : checksum;
+    await writeManifest(backupPath, {
+        ...manifest,
+        patchedSha256: sha256(patched),
+        ...(recorded ? { checksum: recorded } : {}),
+        updatedAt: new Date().toISOString(),
+    });
+}
+
+/**
+ * Restore a bundle (and its product.json checksum) from its backup and
+ * remove the backup.
+ *
+ * Refuses when the bundle on disk is not the one we patched (typically after
+ * an Antigravity update), unless `force` is set. Without a manifest (legacy
+ * backups) all we can check is that the bundle still carries a fix.
+ *
+ * @param {string} filePath
+ * @param {{ force?: boolean, tx?: object }} [options] - `tx` snapshots product.json before its checksum is restored
+ * @returns {Promise<{ status: 'reverted' | 'no-backup' | 'stale-backup', backup?: string, manifest?: object, warning?: string }>}
+ */
+async function restoreBackup(filePath, options = {}) {
+    const backup = findBackup(filePath);
+    if (!backup) return { status: 'no-backup' };
+
+    const manifest = await readManifest(backup);
+    let warning;
+
+    if (manifest && manifest.patchedSha256) {
+        const currentSha256 = sha256(await fsp.readFile(filePath));
+        if (currentSha256 === manifest.originalSha256) {
+            // Already original (reverted by hand); the backup is redundant
+            if (manifest.checksum) await checksums.restoreChecksum(filePath, manifest.checksum, options.tx);
+            await removeBackup(backup);
+            return { status: 'reverted', backup, manifest };
+        }
+        if (currentSha256 !== manifest.patchedSha256) {
+            const message = `Bundle changed since it was patched (backup is from ${manifest.ideVersion}); Antigravity was probably updated`;
+            if (!options.force) return { status: 'stale-backup', backup, manifest, warning: message };
+            warning = message;
+        }
+    } else if (!manifest) {
+        const current = await fsp.readFile(filePath);
+        if (sha256(current) === sha256(await fsp.readFile(backup))) {
+            await removeBackup(backup);
+            return { status: 'reverted', backup };
+        }
+        const content = current.toString('utf8');
+        if (!fixes.some(fix => scanner.isPatched(fix, content))) {
+            const message = 'Bundle is not patched and the legacy backup has no version manifest; Antigravity was probably updated';
+            if (!options.force) return { status: 'stale-backup', backup, warning: message };
+            warning = message;
+        } else {
+            warning = 'Legacy backup without manifest; restored without version check';
+        }
+    }
+
+    await copyAtomic(backup, filePath);
+    if (manifest && manifest.checksum) await checksums.restoreChecksum(filePath, manifest.checksum, options.tx);
+    await removeBackup(backup);
+    return { status: 'reverted', backup, manifest: manifest || undefined, warning };
+}
+
+module.exports = {
+    BACKUP_SUFFIX,
+    LEGACY_BACKUP_SUFFIXES,
+    MANIFEST_SUFFIX,
+    sha256,
+    findBackup,
+    readManifest,
+    removeBackup,
+    ensureBackup,
+    recordPatched,
+    restoreBackup,
+};
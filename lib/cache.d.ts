@@ -0,0 +1,19 @@
+/**
+ * Type declarations for cache management (lib/cache.js).
+ */
+
+export interface CacheReport {
+    userDataDir: string;
+    removed: Array<{ name: string; path: string; bytes: number }>;
+    errors: Array<{ name: string; path: string; error: string }>;
+}
+
+export const CACHE_DIRS: string[];
+
+export function isPortable(install: { installDir: string; appRoot: string }): boolean;
+export function getUserDataDir(options?: {
+    userDataDir?: string;
+    install?: { installDir: string; appRoot: string } | null;
+}): string;
+export function clearCaches(userDataDir: string): Promise<CacheReport>;
+export function describeCacheReport(report: CacheReport): string;
@@ -0,0 +1,128 @@
+/**
+ * Antigravity's Chromium/V8 caches.
+ *
+ * After a bundle changes, Electron may keep loading stale V8 code cache for
+ * it, which shows up as a grey screen. Both tools clear these caches after
+ * any apply or revert. They live in the user-data dir, which depends on the
+ * OS, on portable mode, and on `--user-data-dir`.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const os = require('os');
+
+/** Cache directories inside the user-data dir that hold compiled bundle code. */
+const CACHE_DIRS = ['CachedData', 'GPUCache', 'Code Cache'];
+
+/**
+ * Portable-mode data dir of an installation, if it has one: `data/` next to
+ * the executable (Windows, Linux), or `<portable>/` next to the .app (macOS).
+ */
+function portableDataDir(install) {
+    if (process.platform === 'darwin') {
+        try {
+            const product = JSON.parse(fs.readFileSync(path.join(install.appRoot, 'product.json'), 'utf8'));
+            if (!product.portable) return null;
+            // appRoot is <name>.app/Contents/Resources/app
+            const app = path.dirname(path.dirname(path.dirname(install.appRoot)));
+            return path.join(path.dirname(app), product.portable);
+        } catch { return null; }
+    }
+    return path.join(install.installDir, 'data');
+}
+
+/**
+ * Whether an installation runs in portable mode (has its own data dir).
+ *
+ * @param {{ installDir: string, appRoot: string }} install
+ */
+function isPortable(install) {
+    const dir = portableDataDir(install);
+    return !!dir && fs.existsSync(dir);
+}
+
+/**
+ * Resolve Antigravity's user-data dir.
+ *
+ * - `userDataDir` (CLI --user-data-dir, or the extension's own) wins.
+ * - A portable installation keeps it in `<data>/user-data`.
+ * - Otherwise the per-OS default: `%APPDATA%\Antigravity`,
+ *   `~/Library/Application Support/Antigravity`, `$XDG_CONFIG_HOME/Antigravity`.
+ *
+ * @param {{ userDataDir?: string, install?: { installDir: string, appRoot: string } | null }} [options]
+ * @returns {string}
+ */
+function getUserDataDir(options = {}) {
+    if (options.userDataDir) return path.resolve(options.userDataDir);
+
+    if (options.install && isPortable(options.install)) {
+        return path.join(/** @type {string} */ (portableDataDir(options.install)), 'user-data');
+    }
+
+    if (process.platform === 'win32') {
+        return path.join(process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming'), 'Antigravity');
+    }
+    if (process.platform === 'darwin') {
+        return path.join(os.homedir(), 'Library', 'Application Support', 'Antigravity');
+    }
+    return path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'Antigravity');
+}
+
+/**
+ * Total size of a directory tree in bytes (best effort).
+ */
+async function sizeOf(dir) {
+    let total = 0;
+    let entries;
+    try {
+        entries = await fsp.readdir(dir, { withFileTypes: true });
+    } catch { return 0; }
+    for (const e of entries) {
+        const p = path.join(dir, e.name);
+        if (e.isDirectory()) total += await sizeOf(p);
+        else {
+            try { total += (await fsp.stat(p)).size; } catch { /* gone */ }
+        }
+    }
+    return total;
+}
+
+/**
+ * Remove the code caches from a user-data dir.
+ *
+ * Never throws: directories that can't be removed (e.g. locked by the
+ * running IDE on Windows) are reported in `errors`.
+ *
+ * @param {string} userDataDir
+ * @returns {Promise<import('./cache').CacheReport>}
+ */
+async function clearCaches(userDataDir) {
+    const report = { userDataDir, removed: [], errors: [] };
+    for (const name of CACHE_DIRS) {
+        const dir = path.join(userDataDir, name);
+        if (!fs.existsSync(dir)) continue;
+        const bytes = await sizeOf(dir);
+        try {
+            await fsp.rm(dir, { recursive: true, force: true });
+            report.removed.push({ name, path: dir, bytes });
+        } catch (err) {
+            report.errors.push({ name, path: dir, error: err.message });
+        }
+    }
+    return report;
+}
+
+/**
+ * e.g. "CachedData (12.4 MB), Code Cache (3.1 MB)", or "nothing to remove".
+ *
+ * @param {import('./cache').CacheReport} report
+ */
+function describeCacheReport(report) {
+    if (report.removed.length === 0) return 'nothing to remove';
+    return report.removed.map(r => `${r.name} (${(r.bytes / 1024 / 1024).toFixed(1)} MB)`).join(', ');
+}
+
+module.exports = { CACHE_DIRS, isPortable, getUserDataDir, clearCaches, describeCacheReport };
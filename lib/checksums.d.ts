@@ -0,0 +1,24 @@
+/**
+ * Type declarations for product.json checksums (lib/checksums.js).
+ */
+
+export interface ChecksumRecord {
+    /** Key in product.json `checksums`, relative to `out/` */
+    key: string;
+    /** Value before the bundle was patched */
+    original: string;
+}
+
+export interface ChecksumState {
+    key: string;
+    /** The file matches its checksum */
+    ok: boolean;
+    /** The file can't be read */
+    missing: boolean;
+}
+
+export function productChecksum(data: Buffer | string): string;
+export function locateEntry(filePath: string): { productPath: string; key: string } | null;
+export function updateChecksum(filePath: string, data: Buffer | string, tx?: object): Promise<ChecksumRecord | null>;
+export function restoreChecksum(filePath: string, record: ChecksumRecord, tx?: object): Promise<boolean>;
+export function verifyChecksums(appRoot: string): Promise<ChecksumState[]>;
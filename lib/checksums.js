@@ -0,0 +1,162 @@
+/**
+ * product.json checksums of patched bundles.
+ *
+ * Antigravity's IntegrityService compares `product.json` `checksums` (path
+ * relative to `out/` -> base64 SHA-256 without padding) with the files on
+ * disk and shows the sticky "installation appears to be corrupt" warning
+ * when one differs. After patching a listed bundle we write its new
+ * checksum; the value it had before is kept in the backup manifest (see
+ * lib/backup.js) and put back exactly on revert.
+ *
+ * The SDK keeps the `workbench.html` entry the same way, coordinated
+ * between every SDK-based extension. We only ever touch the entry of the
+ * bundle we patched, and edit product.json in place, so entries, key order
+ * and formatting written by anyone else survive.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { writeAtomic } = require('./atomic');
+
+const PRODUCT_JSON = 'product.json';
+
+/**
+ * A file's checksum as product.json lists it.
+ *
+ * @param {Buffer | string} data
+ */
+function productChecksum(data) {
+    return crypto.createHash('sha256').update(data).digest('base64').replace(/=+$/, '');
+}
+
+/**
+ * The product.json above a bundle and the bundle's key in `checksums`.
+ *
+ * @param {string} filePath
+ * @returns {{ productPath: string, key: string } | null}
+ */
+function locateEntry(filePath) {
+    let dir = path.dirname(path.resolve(filePath));
+    for (;;) {
+        const productPath = path.join(dir, PRODUCT_JSON);
+        if (fs.existsSync(productPath)) {
+            const key = path.relative(path.join(dir, 'out'), path.resolve(filePath)).split(path.sep).join('/');
+            return key.startsWith('..') ? null : { productPath, key };
+        }
+        const parent = path.dirname(dir);
+        if (parent === dir) return null;
+        dir = parent;
+    }
+}
+
+function escapeRegExp(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * product.json text with one checksum changed. Replaced in place so the
+ * rest of the file stays byte for byte; rewritten only if the entry can't
+ * be found textually.
+ */
+function withChecksum(text, key, value) {
+    const start = text.indexOf('"checksums"');
+    const entry = new RegExp(`("${escapeRegExp(JSON.stringify(key).slice(1, -1))}"\\s*:\\s*)"[^"]*"`);
+    const match = start < 0 ? null : entry.exec(text.slice(start));
+    if (match) {
+        const at = start + match.index;
+        return text.slice(0, at) + match[1] + JSON.stringify(value) + text.slice(at + match[0].length);
+    }
+
+    const product = JSON.parse(text);
+    product.checksums[key] = value;
+    const indent = (text.match(/^[ \t]+(?=")/m) || ['\t'])[0];
+    return JSON.stringify(product, null, indent) + (text.endsWith('\n') ? '\n' : '');
+}
+
+/**
+ * The checksums a product.json lists, with its text.
+ *
+ * @param {string} productPath
+ */
+async function readChecksums(productPath) {
+    const text = await fsp.readFile(productPath, 'utf8');
+    const product = JSON.parse(text);
+    return { text, checksums: product.checksums && typeof product.checksums === 'object' ? product.checksums : {} };
+}
+
+async function setChecksum(productPath, key, value, tx) {
+    const { text, checksums } = await readChecksums(productPath);
+    if (checksums[key] === value) return;
+    if (tx) await tx.snapshot(productPath);
+    await writeAtomic(productPath, withChecksum(text, key, value));
+}
+
+/**
+ * Point a bundle's checksum at its new contents. Bundles product.json
+ * doesn't list are left alone.
+ *
+ * @param {string} filePath
+ * @param {Buffer | string} data - the bundle as written
+ * @param {object} [tx] - transaction to snapshot product.json in (see lib/transaction.js)
+ * @returns {Promise<import('./checksums').ChecksumRecord | null>} the entry's key and its value before
+ */
+async function updateChecksum(filePath, data, tx) {
+    const entry = locateEntry(filePath);
+    if (!entry) return null;
+    const { checksums } = await readChecksums(entry.productPath);
+    if (typeof checksums[entry.key] !== 'string') return null;
+
+    const original = checksums[entry.key];
+    await setChecksum(entry.productPath, entry.key, productChecksum(data), tx);
+    return { key: entry.key, original };
+}
+
+/**
+ * Put a bundle's checksum back to the value recorded when it was patched.
+ *
+ * @param {string} filePath
+ * @param {import('./checksums').ChecksumRecord} record
+ * @param {object} [tx]
+ * @returns {Promise<boolean>} false when product.json no longer lists the entry
+ */
+async function restoreChecksum(filePath, record, tx) {
+    const entry = locateEntry(filePath);
+    if (!entry) return false;
+    const { checksums } = await readChecksums(entry.productPath);
+    if (typeof checksums[record.key] !== 'string') return false;
+
+    await setChecksum(entry.productPath, record.key, record.original, tx);
+    return true;
+}
+
+/**
+ * Every file product.json lists, and whether it still matches its checksum
+ * (what IntegrityService checks on startup).
+ *
+ * @param {string} appRoot - Antigravity's `resources/app` directory
+ * @returns {Promise<import('./checksums').ChecksumState[]>}
+ */
+async function verifyChecksums(appRoot) {
+    const { checksums } = await readChecksums(path.join(appRoot, PRODUCT_JSON));
+    const states = [];
+    for (const [key, expected] of Object.entries(checksums)) {
+        let actual = null;
+        try {
+            actual = productChecksum(await fsp.readFile(path.join(appRoot, 'out', ...key.split('/'))));
+        } catch { /* missing */ }
+        states.push({ key, ok: actual === expected, missing: actual === null });
+    }
+    return states;
+}
+
+module.exports = {
+    productChecksum,
+    locateEntry,
+    updateChecksum,
+    restoreChecksum,
+    verifyChecksums,
+};
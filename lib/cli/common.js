@@ -0,0 +1,171 @@
+/**
+ * Helpers shared by the CLI commands: flags, output mode, exit codes,
+ * banner, installation lookup.
+ */
+
+'use strict';
+
+const path = require('path');
+const { locate, locateAll, getVersion } = require('../install');
+
+/**
+ * Exit codes, so provisioning scripts can tell install states apart.
+ */
+const EXIT = {
+    /** Fully patched, or the action succeeded */
+    OK: 0,
+    /** Usage error, I/O error, revert refused */
+    ERROR: 1,
+    /** Some target files patched, the rest patchable */
+    PARTIAL: 2,
+    /** Nothing patched, everything patchable */
+    UNPATCHED: 3,
+    /** A target file no longer matches the signatures, or no target file exists */
+    INCOMPATIBLE: 4,
+    /** No Antigravity installation found */
+    NOT_FOUND: 5,
+    /** `inspect`: the agent settings or patch state block auto-run */
+    BLOCKED: 6,
+};
+
+/** With --json, stdout carries only the JSON document. */
+let jsonMode = false;
+
+/**
+ * @param {boolean} on
+ */
+function setJsonMode(on) {
+    jsonMode = on;
+}
+
+/**
+ * console.log, silenced in --json mode.
+ *
+ * @param {...any} args
+ */
+function log(...args) {
+    if (!jsonMode) console.log(...args);
+}
+
+/**
+ * Print a JSON document (only in --json mode).
+ *
+ * @param {object} doc
+ */
+function emitJson(doc) {
+    if (jsonMode) console.log(JSON.stringify(doc, null, 2));
+}
+
+/**
+ * End a command that threw (lock held, I/O, permissions) with EXIT.ERROR
+ * instead of an unhandled rejection. Use as the command's `.catch`.
+ *
+ * @param {Error} err
+ */
+function fail(err) {
+    emitJson({ state: 'error', error: err.message });
+    log(`\n\u274C ${err.message}`);
+    process.exitCode = EXIT.ERROR;
+}
+
+/**
+ * Value of a `--flag <value>` option, or null.
+ *
+ * @param {string[]} args
+ * @param {string} flag
+ */
+function flagValue(args, flag) {
+    const idx = args.indexOf(flag);
+    return idx !== -1 && args[idx + 1] ? args[idx + 1] : null;
+}
+
+/**
+ * Values of a repeatable `--flag <value>` option.
+ *
+ * @param {string[]} args
+ * @param {string} flag
+ * @returns {string[]}
+ */
+function flagValues(args, flag) {
+    const values = [];
+    args.forEach((arg, i) => {
+        if (arg === flag && args[i + 1]) values.push(args[i + 1]);
+    });
+    return values;
+}
+
+/**
+ * Print the boxed command title.
+ *
+ * @param {string} title
+ */
+function banner(title) {
+    const width = Math.max(48, title.length + 4);
+    log('');
+    log(`╔${'═'.repeat(width + 2)}╗`);
+    log(`║  ${title.padEnd(width)}║`);
+    log(`╚${'═'.repeat(width + 2)}╝`);
+}
+
+/**
+ * Locate the installation (honoring --path) and print where it is.
+ * Exits the process with EXIT.NOT_FOUND when nothing is found.
+ *
+ * @param {string[]} args
+ * @param {string} command - shown in the usage hints, e.g. "auto-run"
+ * @returns {{ installDir: string, appRoot: string, source: string, version: string }}
+ */
+function resolveInstall(args, command) {
+    const rawPath = flagValue(args, '--path');
+    const explicitPath = rawPath ? path.resolve(rawPath) : null;
+
+    const install = locate({ explicitPath: explicitPath || undefined });
+    if (explicitPath && !install) {
+        emitJson({ state: 'install-not-found', error: `--path "${explicitPath}" does not look like an Antigravity installation`, results: [] });
+        log(`\n\u274C --path "${explicitPath}" does not look like an Antigravity installation.`);
+        log('   Expected to find: resources/app/out/vs/workbench/workbench.desktop.main.js (or another workbench bundle path)');
+        process.exit(EXIT.NOT_FOUND);
+    }
+
+    if (!install) {
+        emitJson({ state: 'install-not-found', error: 'Antigravity installation not found', results: [] });
+        log('\n\u274C Antigravity installation not found!');
+        log('');
+        log('   Try one of:');
+        log('     1. Run from the Antigravity install directory:');
+        log(`        cd "C:\\Path\\To\\Antigravity" && npx better-antigravity ${command}`);
+        log('     2. Specify the path explicitly:');
+        log(`        npx better-antigravity ${command} --path "D:\\Antigravity"`);
+        process.exit(EXIT.NOT_FOUND);
+    }
+
+    const version = getVersion(install.appRoot);
+    log(`\n📍 ${install.installDir}`);
+    log(`📦 Version: ${version}`);
+    log('');
+
+    return { ...install, version };
+}
+
+/**
+ * Every installation (for --all), plus any given with --path (repeatable).
+ * Exits the process with EXIT.NOT_FOUND when there is none.
+ *
+ * @param {string[]} args
+ * @returns {Array<{ installDir: string, appRoot: string, source: string, version: string }>}
+ */
+function resolveInstalls(args) {
+    const extraPaths = flagValues(args, '--path').map(p => path.resolve(p));
+    const installs = locateAll({ extraPaths }).map(install => ({ ...install, version: getVersion(install.appRoot) }));
+    if (installs.length === 0) {
+        emitJson({ state: 'install-not-found', error: 'Antigravity installation not found', installs: [] });
+        log('\n\u274C No Antigravity installation found!');
+        log('   Add installations the search misses with --path (repeatable).');
+        process.exit(EXIT.NOT_FOUND);
+    }
+
+    log(`\n📍 ${installs.length} installation(s)`);
+    return installs;
+}
+
+module.exports = { EXIT, flagValue, flagValues, setJsonMode, log, emitJson, fail, banner, resolveInstall, resolveInstalls };
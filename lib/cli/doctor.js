@@ -0,0 +1,49 @@
+/**
+ * CLI: `better-antigravity doctor` — compatibility report without patching.
+ */
+
+'use strict';
+
+const path = require('path');
+const { runDoctor, describeStep, describeCheck, reportFileName, writeReport } = require('../doctor');
+const { EXIT, setJsonMode, log, emitJson, banner, flagValue, resolveInstall } = require('./common');
+
+/**
+ * @param {string[]} args - flags after `doctor` (--out <file>, --path <dir>, --json)
+ */
+async function main(args) {
+    setJsonMode(args.includes('--json'));
+    banner('Better Antigravity Doctor');
+    const install = resolveInstall(args, 'doctor');
+
+    const report = await runDoctor(install);
+
+    for (const fix of report.fixes) {
+        log(`  ${fix.compatible ? '✅' : '❌'} ${fix.id} — ${fix.description}`);
+        for (const t of fix.targets) {
+            const state = !t.exists ? 'not found' : t.patched ? 'patched' : 'not patched';
+            log(`     [${t.label}] ${t.path} (${state})`);
+            for (const s of t.steps || []) {
+                const icon = s.status === 'ok' ? '✔' : s.status === 'failed' ? '✘' : '·';
+                log(`       ${icon} ${describeStep(s)}`);
+            }
+            for (const c of t.verification || []) {
+                log(`       ${c.skipped ? '·' : c.ok ? '✔' : '✘'} ${describeCheck(c)}`);
+            }
+            if (t.error && !t.steps) log(`       ✘ ${t.error}`);
+        }
+        log('');
+    }
+
+    const out = path.resolve(flagValue(args, '--out') || reportFileName(report));
+    writeReport(report, out);
+    emitJson({ file: out, ...report });
+
+    log(report.compatible
+        ? '✨ All fixes are compatible with this build.'
+        : '⚠️  Some signatures no longer match. Please attach a report to an issue: npx better-antigravity report');
+    log(`📄 Report: ${out}`);
+    process.exitCode = report.compatible ? EXIT.OK : EXIT.INCOMPATIBLE;
+}
+
+module.exports = { main };
@@ -0,0 +1,94 @@
+/**
+ * CLI: `better-antigravity export` — Cascade conversations to Markdown / JSON.
+ *
+ * Without --id or --all, lists the conversations in the state database.
+ * Custom chat titles live in the SDK's title proxy, which only the extension
+ * can read; the CLI takes them from a title export (`--titles <file>`).
+ */
+
+'use strict';
+
+const path = require('path');
+const { locate } = require('../install');
+const { getUserDataDir } = require('../cache');
+const { readTitleExport } = require('../titles');
+const { getStateDbPath, openStateDb } = require('../state-db');
+const { listConversations, titleOf, exportConversations } = require('../conversations');
+const { EXIT, setJsonMode, log, emitJson, banner, flagValue, flagValues } = require('./common');
+
+const FORMATS = ['md', 'json'];
+
+/**
+ * @param {string[]} args - flags after `export` (--id <id>, --all, --format md|json, --out <dir>, --titles <file>, --path <dir>, --user-data-dir <dir>, --json)
+ */
+async function main(args) {
+    setJsonMode(args.includes('--json'));
+    banner('Better Antigravity Conversation Export');
+
+    const format = flagValue(args, '--format') || 'md';
+    if (!FORMATS.includes(format)) {
+        log(`❌ Unknown --format "${format}" (expected: ${FORMATS.join(', ')})`);
+        process.exitCode = EXIT.ERROR;
+        return;
+    }
+
+    const rawPath = flagValue(args, '--path');
+    const install = locate({ explicitPath: rawPath ? path.resolve(rawPath) : undefined });
+    const userDataDir = getUserDataDir({ userDataDir: flagValue(args, '--user-data-dir') || undefined, install });
+    const dbPath = getStateDbPath(userDataDir);
+
+    const titlesFile = flagValue(args, '--titles');
+    let titles = {};
+    let conversations;
+    try {
+        if (titlesFile) titles = readTitleExport(titlesFile);
+
+        const db = await openStateDb(dbPath);
+        try {
+            conversations = listConversations(db);
+        } finally {
+            db.close();
+        }
+    } catch (err) {
+        log(`❌ ${err.message}`);
+        log('   Use --user-data-dir if Antigravity runs with a custom one.');
+        process.exitCode = EXIT.ERROR;
+        return;
+    }
+
+    log(`\n📂 ${dbPath}`);
+    log(`💬 ${conversations.length} conversation(s)\n`);
+
+    const ids = flagValues(args, '--id');
+    if (!args.includes('--all') && ids.length === 0) {
+        for (const c of conversations) {
+            log(`  ${c.id}  ${titleOf(c, titles)} (${c.steps.length} steps)`);
+        }
+        emitJson({
+            database: dbPath,
+            conversations: conversations.map(c => ({ id: c.id, title: titleOf(c, titles), steps: c.steps.length })),
+        });
+        log('\n💡 Export with --id <id> (repeatable) or --all; --format md|json, --out <dir>.');
+        if (!titlesFile) {
+            log('💡 Custom chat titles are only readable in the IDE: run "Better Antigravity: Export Chat Titles" and pass the file with --titles <file>.');
+        }
+        return;
+    }
+
+    const missing = ids.filter(id => !conversations.some(c => c.id === id));
+    if (missing.length > 0) {
+        log(`❌ No conversation with id ${missing.join(', ')}`);
+        process.exitCode = EXIT.ERROR;
+        return;
+    }
+
+    const selected = args.includes('--all') ? conversations : conversations.filter(c => ids.includes(c.id));
+    const outDir = path.resolve(flagValue(args, '--out') || 'antigravity-conversations');
+    const written = await exportConversations(selected, { outDir, format, titles });
+
+    emitJson({ database: dbPath, outDir, format, written });
+    for (const w of written) log(`  ✅ ${w.title} → ${path.basename(w.file)}`);
+    log(`\n✨ Exported ${written.length} conversation(s) to ${outDir}`);
+}
+
+module.exports = { main };
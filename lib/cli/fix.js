@@ -0,0 +1,301 @@
+/**
+ * CLI: apply, check, preview or revert one fix.
+ *
+ * Used by cli.js and by the standalone fixes/<name>/patch.js scripts.
+ * All patching goes through lib/engine.js, shared with the extension.
+ *
+ * Every action yields one PatchResult-shaped object per target file
+ * (`--json` prints them) and exits with a code from EXIT.
+ */
+
+'use strict';
+
+const engine = require('../engine');
+const { describeAnalysis, previewFile } = require('../preview');
+const { getUserDataDir, clearCaches, describeCacheReport } = require('../cache');
+const { recordHistory } = require('../history');
+const { EXIT, flagValue, flagValues, setJsonMode, log, emitJson, banner, resolveInstall, resolveInstalls } = require('./common');
+
+// ─── Output ─────────────────────────────────────────────────────────────────
+
+/**
+ * Print what each signature step extracted, failing step last.
+ */
+function printAnalysis(analysis, label) {
+    describeAnalysis(analysis).forEach((line, i) => {
+        log(i === 0 ? `  📋 [${label}] ${line}` : `     ${line}`);
+    });
+    if (!analysis.ok) log(`  ❌ [${label}] ${analysis.error}`);
+}
+
+/**
+ * A target this build doesn't have: skipped, or not found when no target exists.
+ */
+function missing(fix, target, anyExists) {
+    const result = engine.missingTarget(fix, target, anyExists);
+    log(result.success ? `  ⏭️  [${target.label}] Not in this build, skipping` : `  ❌ [${target.label}] Not found`);
+    return result;
+}
+
+/**
+ * Drop internals (analysis, snippet) from a result for --json.
+ */
+function toJson(result) {
+    const { analysis, ...rest } = result;
+    return rest;
+}
+
+/**
+ * Summarize per-file results as one install state and exit code.
+ * Bundles this build doesn't have (`skipped`) don't count.
+ */
+function patchState(allResults) {
+    const results = allResults.filter(r => r.status !== 'skipped');
+    const isPatched = r => r.status === 'patched' || r.status === 'updated' || r.status === 'already-patched';
+    if (results.some(r => r.status === 'error' || r.status === 'stale-backup')) return { state: 'error', code: EXIT.ERROR };
+    if (results.length > 0 && results.every(isPatched)) return { state: 'patched', code: EXIT.OK };
+    if (results.some(r => r.status === 'pattern-not-found' || r.status === 'invalid-patch' || r.status === 'file-not-found')) {
+        return { state: 'incompatible', code: EXIT.INCOMPATIBLE };
+    }
+    if (results.some(isPatched)) return { state: 'partial', code: EXIT.PARTIAL };
+    return { state: 'unpatched', code: EXIT.UNPATCHED };
+}
+
+/**
+ * Clear Antigravity's code caches after bundles changed, and say what went.
+ */
+async function clearCachesFor(install, args) {
+    const report = await clearCaches(getUserDataDir({ userDataDir: flagValue(args, '--user-data-dir'), install }));
+    log(`🧹 Caches in ${report.userDataDir}: ${describeCacheReport(report)}`);
+    for (const e of report.errors) log(`  ⚠️  Could not remove ${e.name}: ${e.error}`);
+    return report;
+}
+
+// ─── Actions ────────────────────────────────────────────────────────────────
+
+/**
+ * Fix settings given on the command line, or undefined.
+ * Only auto-run has settings so far: --allow / --deny command rules.
+ */
+function settingsFromArgs(args) {
+    const allow = flagValues(args, '--allow');
+    const deny = flagValues(args, '--deny');
+    return allow.length || deny.length ? { allow, deny } : undefined;
+}
+
+/**
+ * Print one result of patchFix.
+ */
+function printApplied(result) {
+    if (result.analysis) printAnalysis(result.analysis, result.label);
+
+    switch (result.status) {
+        case 'already-patched':
+            log(`  ⏭️  [${result.label}] Already patched`);
+            break;
+        case 'patched':
+            if (result.rotatedBackup) log(`  🔄 [${result.label}] Outdated backup from ${result.rotatedBackup} replaced`);
+            if (result.backup) log(`  📦 [${result.label}] Backup created`);
+            log(`  ✅ [${result.label}] Patched (+${result.bytesAdded} bytes)`);
+            break;
+        case 'updated':
+            log(`  🔄 [${result.label}] Re-patched with the new settings (+${result.bytesAdded} bytes)`);
+            break;
+        case 'rolled-back':
+            log(`  ↩️  [${result.label}] Rolled back`);
+            break;
+        case 'skipped':
+            log(`  ⏭️  [${result.label}] Not in this build, skipping`);
+            break;
+        case 'file-not-found':
+        case 'invalid-patch':
+        case 'stale-backup':
+        case 'error':
+            log(`  ❌ [${result.label}] ${result.error}`);
+            break;
+    }
+}
+
+/**
+ * Print one result of revertFix.
+ */
+function printReverted(result) {
+    if (result.status === 'no-backup') {
+        log(`  ⏭️  [${result.label}] No backup, skipping`);
+    } else if (result.status === 'stale-backup') {
+        log(`  ⚠️  [${result.label}] ${result.error}`);
+        log('     Not restored. Use --force to restore the old backup anyway.');
+    } else if (result.success) {
+        if (result.warning) log(`  ⚠️  [${result.label}] ${result.warning}`);
+        log(`  ✅ [${result.label}] Restored`);
+    } else {
+        log(`  ❌ [${result.label}] ${result.error}`);
+    }
+}
+
+async function checkTarget(fix, target, anyExists) {
+    if (!target.exists) return missing(fix, target, anyExists);
+    const check = await engine.checkFile(fix, target.path, target.label);
+    const result = { fix: fix.id, success: check.patched, label: target.label };
+    if (check.error) {
+        log(`  ❌ [${target.label}] ${check.error}`);
+        return { ...result, status: 'error', error: check.error };
+    }
+    if (check.patched) {
+        const backup = check.backupVersion ? ` (backup from ${check.backupVersion})` : check.backup ? ' (backup exists)' : '';
+        log(`  ✅ [${target.label}] PATCHED${backup}`);
+        return { ...result, status: 'already-patched' };
+    }
+    if (check.patchable) {
+        log(`  ⬜ [${target.label}] NOT PATCHED (patchable)`);
+        return { ...result, status: 'not-patched' };
+    }
+    log(`  ⚠️  [${target.label}] NOT PATCHED (may be incompatible)`);
+    return { ...result, status: 'pattern-not-found', error: check.analysis && check.analysis.error };
+}
+
+async function previewTarget(fix, target, anyExists, showDiff, settings) {
+    if (!target.exists) return missing(fix, target, anyExists);
+    const preview = await previewFile(fix, target.path, target.label, { settings });
+    const result = { fix: fix.id, success: false, label: target.label };
+    if (preview.error) {
+        log(`  ❌ [${target.label}] ${preview.error}`);
+        return { ...result, status: 'error', error: preview.error };
+    }
+    if (preview.patched) {
+        log(`  ⏭️  [${target.label}] Already patched`);
+        return { ...result, success: true, status: 'already-patched' };
+    }
+    printAnalysis(preview.analysis, target.label);
+    if (!preview.diff) {
+        return { ...result, status: 'pattern-not-found', error: preview.analysis.error };
+    }
+    if (!preview.verification.ok) {
+        log(`  ❌ [${target.label}] ${preview.verification.error}`);
+        if (showDiff) log('\n' + preview.diff + '\n');
+        return { ...result, status: 'invalid-patch', error: preview.verification.error, diff: showDiff ? preview.diff : undefined };
+    }
+    const bytesAdded = Buffer.byteLength(preview.analysis.snippet);
+    log(`  📝 [${target.label}] Would insert ${bytesAdded} bytes`);
+    if (showDiff) log('\n' + preview.diff + '\n');
+    return { ...result, success: true, status: 'not-patched', bytesAdded, diff: showDiff ? preview.diff : undefined };
+}
+
+// ─── Main ───────────────────────────────────────────────────────────────────
+
+/**
+ * Run one action of a fix on one installation, printing as it goes.
+ *
+ * @returns {Promise<{ results: object[], outcome: { state: string, code: number }, caches?: object }>}
+ */
+async function runAction(fix, install, action, args) {
+    const { appRoot, version } = install;
+    const targets = engine.resolveTargets(fix, appRoot);
+    const anyExists = targets.some(t => t.exists);
+    const settings = settingsFromArgs(args);
+    const results = [];
+    let outcome;
+    let caches;
+
+    switch (action) {
+        case 'check':
+            for (const t of targets) results.push(await checkTarget(fix, t, anyExists));
+            outcome = patchState(results);
+            break;
+        case 'preview':
+            for (const t of targets) results.push(await previewTarget(fix, t, anyExists, args.includes('--diff'), settings));
+            outcome = patchState(results);
+            log('\n💡 Dry run — nothing was written.');
+            break;
+        case 'revert': {
+            results.push(...await engine.revertFix(fix, appRoot, { force: args.includes('--force') }));
+            await recordHistory(fix, appRoot, results, { action: 'revert', version });
+            results.forEach(printReverted);
+            if (results.some(r => r.status === 'reverted')) caches = await clearCachesFor(install, args);
+            const ok = results.every(r => r.success || r.status === 'no-backup');
+            outcome = ok ? { state: 'reverted', code: EXIT.OK } : { state: 'error', code: EXIT.ERROR };
+            log(ok ? '\n✨ Restored! Restart Antigravity.' : '\n⚠️  Some files were not restored.');
+            break;
+        }
+        case 'apply': {
+            results.push(...await engine.patchFix(fix, appRoot, { version, settings }));
+            await recordHistory(fix, appRoot, results, { action: 'apply', version });
+            results.forEach(printApplied);
+            if (results.some(r => r.status === 'patched' || r.status === 'updated')) caches = await clearCachesFor(install, args);
+            outcome = patchState(results);
+            log(outcome.code === EXIT.OK
+                ? '\n✨ Done! Restart Antigravity.\n💡 Run with --revert to undo.\n⚠️  Re-run after Antigravity updates, or keep it applied with: npx better-antigravity watch'
+                : results.some(r => r.status === 'rolled-back')
+                    ? '\n⚠️  Patching failed. All changes were rolled back.'
+                    : '\n⚠️  Some patches failed.');
+            if (outcome.state === 'incompatible') log('💡 Unsupported build? Attach the output of `npx better-antigravity report` to an issue.');
+            break;
+        }
+    }
+    return { results, outcome, caches };
+}
+
+/** With --all, the exit code of the worst installation, in this order. */
+const SEVERITY = [EXIT.ERROR, EXIT.INCOMPATIBLE, EXIT.PARTIAL, EXIT.UNPATCHED, EXIT.OK];
+
+/**
+ * Run an action on every installation (--all), then summarize per install.
+ */
+async function runAll(fix, action, args) {
+    const runs = [];
+    for (const install of resolveInstalls(args)) {
+        log(`\n━━ ${install.installDir}`);
+        log(`   📦 ${install.version} (${install.source})\n`);
+        runs.push({ install, ...await runAction(fix, install, action, args) });
+    }
+
+    log('\n  Summary:');
+    for (const { install, outcome } of runs) {
+        log(`    ${outcome.code === EXIT.OK ? '✅' : '❌'} ${outcome.state.padEnd(12)} ${install.installDir} (${install.version})`);
+    }
+    log('');
+
+    const worst = SEVERITY.map(code => runs.find(r => r.outcome.code === code)).find(Boolean);
+    emitJson({
+        action,
+        fix: fix.id,
+        state: worst.outcome.state,
+        installs: runs.map(({ install, results, outcome, caches }) => ({
+            installDir: install.installDir,
+            source: install.source,
+            version: install.version,
+            state: outcome.state,
+            results: results.map(toJson),
+            caches,
+        })),
+    });
+    process.exitCode = worst.outcome.code;
+}
+
+/**
+ * Run a fix from the command line.
+ *
+ * @param {import('../../fixes').FixDefinition} fix
+ * @param {string[]} args - flags after the fix name (--check, --revert [--force], --dry-run, --diff, --json, --path <dir>, --all, --allow/--deny <rule>)
+ */
+async function main(fix, args) {
+    const action = args.includes('--revert') ? 'revert'
+        : args.includes('--check') ? 'check'
+        : args.includes('--dry-run') || args.includes('--diff') ? 'preview'
+        : 'apply';
+
+    setJsonMode(args.includes('--json'));
+    banner(fix.name);
+    if (args.includes('--all')) {
+        await runAll(fix, action, args);
+        return;
+    }
+
+    const install = resolveInstall(args, fix.id);
+    const { results, outcome, caches } = await runAction(fix, install, action, args);
+
+    emitJson({ action, fix: fix.id, installDir: install.installDir, version: install.version, state: outcome.state, results: results.map(toJson), caches });
+    process.exitCode = outcome.code;
+}
+
+module.exports = { main, settingsFromArgs, printApplied, clearCachesFor };
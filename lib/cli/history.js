@@ -0,0 +1,47 @@
+/**
+ * CLI: `better-antigravity history` — past applies, reverts and re-applies
+ * by both tools, with the IDE version each happened on.
+ */
+
+'use strict';
+
+const { readHistory, historyPath, formatEntry } = require('../history');
+const { EXIT, flagValue, setJsonMode, log, emitJson, banner } = require('./common');
+
+const DEFAULT_LIMIT = 50;
+
+/**
+ * @param {string[]} args - flags after `history` (--fix <id>, --limit <n>, --all, --json)
+ */
+async function main(args) {
+    setJsonMode(args.includes('--json'));
+    banner('Better Antigravity History');
+
+    const limit = args.includes('--all') ? 0 : Number(flagValue(args, '--limit') || DEFAULT_LIMIT);
+    if (!Number.isInteger(limit) || limit < 0) {
+        log(`❌ --limit expects a number, got "${flagValue(args, '--limit')}"`);
+        process.exitCode = EXIT.ERROR;
+        return;
+    }
+
+    const entries = readHistory({ fix: flagValue(args, '--fix') || undefined, limit });
+    emitJson({ file: historyPath(), entries });
+
+    log(`\n📄 ${historyPath()}\n`);
+    if (entries.length === 0) {
+        log('   No history yet. Entries are added when a fix is applied, reverted or re-applied.');
+        return;
+    }
+
+    let lastVersion = null;
+    for (const e of entries) {
+        // Make IDE updates stand out
+        if (lastVersion && e.ideVersion !== lastVersion) log(`  ── Antigravity ${lastVersion} → ${e.ideVersion} ──`);
+        lastVersion = e.ideVersion;
+        log(`  ${e.success ? '✔' : '✘'} ${formatEntry(e)}`);
+    }
+    if (limit && entries.length === limit) log(`\n💡 Showing the last ${limit} entries; --all for everything, --limit <n> for more.`);
+    log('');
+}
+
+module.exports = { main };
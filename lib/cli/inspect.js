@@ -0,0 +1,49 @@
+/**
+ * CLI: `better-antigravity inspect` — the agent settings and patch state
+ * that decide whether auto-run fires.
+ */
+
+'use strict';
+
+const { getUserDataDir } = require('../cache');
+const { inspectAutoRun, describePolicy } = require('../inspect');
+const { EXIT, flagValue, setJsonMode, log, emitJson, banner, resolveInstall } = require('./common');
+
+/**
+ * @param {string[]} args - flags after `inspect` (--json, --path <dir>, --user-data-dir <dir>)
+ */
+async function main(args) {
+    setJsonMode(args.includes('--json'));
+    banner('Better Antigravity Inspect');
+    const install = resolveInstall(args, 'inspect');
+    const userDataDir = getUserDataDir({ userDataDir: flagValue(args, '--user-data-dir') || undefined, install });
+
+    const report = await inspectAutoRun(install, userDataDir);
+    emitJson(report);
+
+    log('  Patch state');
+    for (const t of report.targets) {
+        const state = !t.exists ? 'not found' : t.patched ? 'patched' : t.patchable ? 'not patched' : 'incompatible';
+        log(`     ${t.patched ? '✔' : '✘'} [${t.label}] ${state}`);
+    }
+    log('');
+
+    log('  Agent settings');
+    log(`     📂 ${report.stateDb}`);
+    if (report.error) log(`     ✘ ${report.error}`);
+    log(`     Terminal execution policy: ${describePolicy(report)}`);
+    log(`     Secure mode: ${report.secureMode === null ? 'not set' : report.secureMode ? 'on' : 'off'}`);
+    for (const f of report.flags) log(`     ${f.name}: ${JSON.stringify(f.value)}`);
+    if (report.sources.length) log(`     (from ${report.sources.map(s => `${s.key} → ${s.path}`).join(', ')})`);
+    log('');
+
+    for (const b of report.blockers) log(`  ❌ ${b}`);
+    for (const w of report.warnings) log(`  ⚠️  ${w}`);
+    if (report.ok) log(report.warnings.length ? '  ✨ No blockers found.' : '  ✨ Nothing blocks auto-run.');
+    if (report.error) log('     Use --user-data-dir if Antigravity runs with a custom one.');
+    log('');
+
+    process.exitCode = report.ok ? EXIT.OK : EXIT.BLOCKED;
+}
+
+module.exports = { main };
@@ -0,0 +1,56 @@
+/**
+ * CLI: `better-antigravity list` — every Antigravity installation on this
+ * machine, with its version and patch state.
+ */
+
+'use strict';
+
+const { fixes } = require('../../fixes');
+const engine = require('../engine');
+const { isPortable } = require('../cache');
+const { EXIT, setJsonMode, log, emitJson, banner, resolveInstalls } = require('./common');
+
+/**
+ * Patch state of one fix on one installation. Bundles this build doesn't
+ * have don't count, as when patching.
+ */
+async function fixState(fix, appRoot) {
+    const targets = [];
+    for (const t of engine.resolveTargets(fix, appRoot)) {
+        if (t.exists) targets.push(await engine.checkFile(fix, t.path, t.label));
+    }
+    const patched = targets.filter(t => t.patched).length;
+    const state = targets.length === 0 || targets.some(t => !t.exists || (!t.patched && !t.patchable)) ? 'incompatible'
+        : patched === targets.length ? 'patched'
+        : patched > 0 ? 'partial'
+        : 'unpatched';
+    return { fix: fix.id, state, patched, targets: targets.length };
+}
+
+const STATE_ICONS = { patched: '✅', partial: '⚠️ ', unpatched: '⬜', incompatible: '❌' };
+
+/**
+ * @param {string[]} args - flags after `list` (--json, --path <dir> to add installations)
+ */
+async function main(args) {
+    setJsonMode(args.includes('--json'));
+    banner('Better Antigravity Installations');
+
+    const installs = [];
+    for (const install of resolveInstalls(args)) {
+        const states = [];
+        for (const fix of fixes) states.push(await fixState(fix, install.appRoot));
+        installs.push({ ...install, portable: isPortable(install), fixes: states });
+    }
+    emitJson({ installs });
+
+    for (const [i, install] of installs.entries()) {
+        log(`\n  ${i + 1}. ${install.installDir}${install.portable ? ' (portable)' : ''}`);
+        log(`     📦 ${install.version}, found via ${install.source}`);
+        for (const f of install.fixes) log(`     ${STATE_ICONS[f.state]} ${f.fix}: ${f.state} (${f.patched}/${f.targets} bundles)`);
+    }
+    log('\n💡 Act on all of them with --all, e.g. npx better-antigravity auto-run --all --check\n');
+    process.exitCode = EXIT.OK;
+}
+
+module.exports = { main };
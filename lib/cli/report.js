@@ -0,0 +1,46 @@
+/**
+ * CLI: `better-antigravity report` — a sanitized signature report for
+ * builds the fixes don't support yet, to attach to a GitHub issue.
+ */
+
+'use strict';
+
+const path = require('path');
+const { buildIssueReport, issueReportFileName, writeIssueReport } = require('../report');
+const { EXIT, setJsonMode, log, emitJson, banner, flagValue, resolveInstall } = require('./common');
+const pkg = require('../../package.json');
+
+/**
+ * @param {string[]} args - flags after `report` (--out <file>, --path <dir>, --json)
+ */
+async function main(args) {
+    setJsonMode(args.includes('--json'));
+    banner('Better Antigravity Issue Report');
+    const install = resolveInstall(args, 'report');
+
+    const report = await buildIssueReport(install);
+    for (const fix of report.fixes) {
+        for (const t of fix.targets) {
+            log(`  ${t.compatible ? '✅' : '❌'} ${fix.id} [${t.label}] ${t.compatible ? 'compatible' : t.error}`);
+            for (const s of t.steps || []) {
+                if (s.status === 'failed' && s.partial) {
+                    log(`     ✘ ${s.description}: matches up to ${s.partial.matched ? `"${s.partial.text}"` : 'nothing'}`);
+                }
+            }
+        }
+    }
+
+    const out = path.resolve(flagValue(args, '--out') || issueReportFileName(report));
+    writeIssueReport(report, out);
+    emitJson({ file: out, ...report });
+
+    log('');
+    log(report.compatible
+        ? '✨ All fixes are compatible with this build; the report has nothing to diagnose.'
+        : `📎 Attach the report to an issue: ${pkg.bugs.url}`);
+    log('   It contains short excerpts around the anchors, never whole bundles.');
+    log(`📄 Report: ${out}`);
+    process.exitCode = report.compatible ? EXIT.OK : EXIT.INCOMPATIBLE;
+}
+
+module.exports = { main };
@@ -0,0 +1,67 @@
+/**
+ * CLI: `better-antigravity uninstall` — restore a pristine Antigravity:
+ * revert every fix, remove every backup, restore the checksums, clear the
+ * caches and check the result.
+ */
+
+'use strict';
+
+const path = require('path');
+const { restoreOriginal, describeProblems } = require('../uninstall');
+const { clearCachesFor } = require('./fix');
+const { EXIT, setJsonMode, log, emitJson, banner, resolveInstall, resolveInstalls } = require('./common');
+
+/**
+ * Restore one installation, printing as it goes.
+ */
+async function restoreInstall(install, args) {
+    const report = await restoreOriginal(install, { force: args.includes('--force'), version: install.version });
+
+    for (const t of report.targets) {
+        if (!t.exists && t.removed.length === 0) continue;
+        const name = path.relative(install.appRoot, t.path);
+        if (t.reverted) log(`  ↩️  [${t.label}] Restored ${name}`);
+        for (const file of t.removed) log(`  🗑️  Removed ${path.relative(install.appRoot, file)}`);
+    }
+    const reverted = report.targets.some(t => t.reverted);
+    const caches = reverted ? await clearCachesFor(install, args) : undefined;
+
+    log('');
+    const problems = describeProblems(report);
+    if (problems.length === 0) {
+        log(`  ✅ ${report.targets.filter(t => t.original).length} bundle(s) match their recorded originals`);
+        log(`  ✅ ${report.checksums.length} product.json checksum(s) match`);
+        log(reverted ? '\n✨ Antigravity is back to original. Restart it.' : '\n✨ Nothing to undo: Antigravity is original.');
+    } else {
+        for (const p of problems) log(`  ❌ ${p}`);
+        if (report.targets.some(t => t.stale)) log('\n💡 Antigravity was updated since it was patched. --force restores the old backups anyway.');
+        log('\n⚠️  Antigravity is not fully restored.');
+    }
+    return { report, caches };
+}
+
+/**
+ * @param {string[]} args - flags after `uninstall` (--force, --json, --path <dir>, --all, --user-data-dir <dir>)
+ */
+async function main(args) {
+    setJsonMode(args.includes('--json'));
+    banner('Better Antigravity Uninstall');
+
+    const installs = args.includes('--all') ? resolveInstalls(args) : [resolveInstall(args, 'uninstall')];
+    const runs = [];
+    for (const install of installs) {
+        if (installs.length > 1) log(`\n━━ ${install.installDir}\n`);
+        runs.push({ install, ...await restoreInstall(install, args) });
+    }
+
+    log('💡 The extension\'s SDK integration (workbench.html) is removed by "Better Antigravity: Restore Original Antigravity" in the IDE.\n');
+
+    emitJson({
+        action: 'uninstall',
+        pristine: runs.every(r => r.report.pristine),
+        installs: runs.map(({ install, report, caches }) => ({ ...report, version: install.version, caches })),
+    });
+    process.exitCode = runs.every(r => r.report.pristine) ? EXIT.OK : EXIT.ERROR;
+}
+
+module.exports = { main };
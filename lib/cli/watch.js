@@ -0,0 +1,53 @@
+/**
+ * CLI: `better-antigravity watch` — keep the fixes applied across updates.
+ *
+ * Runs until interrupted. Whenever Antigravity replaces a bundle we patched,
+ * the fix is re-applied to the new version (see lib/watch.js).
+ */
+
+'use strict';
+
+const { fixes } = require('../../fixes');
+const { watchFixes, POLL_INTERVAL } = require('../watch');
+const { settingsFromArgs, printApplied, clearCachesFor } = require('./fix');
+const { banner, log, resolveInstall } = require('./common');
+
+/**
+ * @param {string[]} args - flags after `watch` (--path, --user-data-dir, --allow, --deny)
+ */
+async function main(args) {
+    banner('Better Antigravity Watch');
+    const install = resolveInstall(args, 'watch');
+
+    // The same rules for every fix; only auto-run reads them
+    const settings = settingsFromArgs(args);
+
+    const watcher = watchFixes(install.appRoot, {
+        fixes,
+        settings: () => Object.fromEntries(fixes.map(f => [f.id, settings])),
+        async onReapplied({ fix, replaced, version, results }) {
+            log(`\n🔄 ${new Date().toLocaleTimeString()} Antigravity replaced ${replaced.join(', ')} (now ${version})`);
+            results.forEach(printApplied);
+            if (results.some(r => r.status === 'patched' || r.status === 'updated')) {
+                await clearCachesFor(install, args);
+                log(`✨ ${fix.name} re-applied. Restart Antigravity.`);
+            } else {
+                log(`⚠️  Could not re-apply ${fix.name}. Check compatibility with: npx better-antigravity doctor`);
+            }
+        },
+        onError: err => log(`\n❌ ${err.message}`),
+    });
+
+    await watcher.check();
+
+    for (const file of watcher.files) log(`  👀 ${file}`);
+    log(`\n💡 Checking every ${POLL_INTERVAL / 1000}s. Press Ctrl+C to stop.`);
+
+    process.on('SIGINT', () => {
+        watcher.close();
+        log('\n👋 Stopped watching.');
+        process.exit(0);
+    });
+}
+
+module.exports = { main };
@@ -0,0 +1,42 @@
+/**
+ * Type declarations for conversation export (lib/conversations.js).
+ */
+
+import { StateDb } from './state-db';
+
+export interface Step {
+    index: number;
+    /** e.g. `user_input`, `planner_response`, `run_command` */
+    type: string;
+    /** e.g. `done`, `canceled` */
+    status?: string;
+    createdAt?: string;
+    text?: string;
+    command?: {
+        commandLine: string;
+        cwd?: string;
+        exitCode?: number;
+        output?: string;
+    };
+    /** The step as stored by Antigravity */
+    raw: object;
+}
+
+export interface Conversation {
+    id: string;
+    /** Auto-generated summary */
+    summary?: string;
+    createdAt?: string;
+    updatedAt?: string;
+    steps: Step[];
+}
+
+export function listConversations(db: StateDb): Conversation[];
+export function titleOf(conversation: Conversation, titles?: Record<string, string>): string;
+export function toMarkdown(conversation: Conversation, title: string): string;
+export function toJson(conversation: Conversation, title: string): string;
+export function safeFileName(title: string): string;
+export function exportConversations(
+    conversations: Conversation[],
+    options: { outDir: string; format: 'md' | 'json'; titles?: Record<string, string> },
+): Promise<Array<{ id: string; title: string; file: string }>>;
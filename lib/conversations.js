@@ -0,0 +1,243 @@
+/**
+ * Cascade conversation export (Markdown / JSON).
+ *
+ * Conversations are read from Antigravity's state database (see
+ * lib/state-db.js), which is never written.
+ *
+ * Which keys hold the conversations, and how deep, differs between builds.
+ * Like the fix signatures, we don't hardcode the layout: every value under
+ * a conversation-ish key is searched for objects shaped like a conversation
+ * (an id and a `steps` array).
+ */
+
+'use strict';
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { readJsonItems, findObjects } = require('./state-db');
+
+/** Keys of ItemTable rows that may hold conversations. */
+const CONVERSATION_KEY = /cascade|trajector|conversation/i;
+
+/** Fields that identify a conversation object. */
+const ID_FIELDS = ['cascadeId', 'trajectoryId', 'conversationId', 'id'];
+
+const EXPORT_FORMAT = 'better-antigravity-conversation';
+const EXPORT_VERSION = 1;
+
+/** Longest command output kept in Markdown (JSON keeps everything). */
+const MAX_MARKDOWN_OUTPUT = 20_000;
+
+// ─── Conversations ──────────────────────────────────────────────────────────
+
+/** `CORTEX_STEP_TYPE_RUN_COMMAND` / `runCommand` -> `run_command` */
+function snakeType(type) {
+    return String(type)
+        .replace(/^CORTEX_STEP_(TYPE|STATUS)_/, '')
+        .replace(/([a-z])([A-Z])/g, '$1_$2')
+        .toLowerCase();
+}
+
+/** `run_command` -> `runCommand`, the key of a step's payload. */
+function camelType(type) {
+    return type.replace(/_(\w)/g, (_, c) => c.toUpperCase());
+}
+
+function textOf(value) {
+    if (value == null) return undefined;
+    if (typeof value === 'string') return value;
+    if (Array.isArray(value)) return value.map(textOf).filter(Boolean).join('\n') || undefined;
+    return textOf(value.text ?? value.content ?? value.full ?? value.userResponse ?? value.response);
+}
+
+/**
+ * A step reduced to what the exports show. `raw` keeps the original.
+ *
+ * @returns {import('./conversations').Step}
+ */
+function normalizeStep(step, index) {
+    const type = snakeType(step.type ?? step.stepType ?? 'unknown');
+    const payload = step[camelType(type)] ?? step;
+    const normalized = {
+        index,
+        type,
+        status: step.status ? snakeType(step.status) : undefined,
+        createdAt: step.createdAt ?? step.metadata?.createdAt,
+        text: textOf(payload.userResponse ?? payload.response ?? payload.text ?? payload.items ?? payload.content),
+        raw: step,
+    };
+
+    const commandLine = payload.commandLine ?? payload.proposedCommandLine;
+    if (commandLine !== undefined) {
+        normalized.command = {
+            commandLine,
+            cwd: payload.cwd,
+            exitCode: payload.exitCode,
+            output: textOf(payload.combinedOutput ?? payload.output ?? payload.stdout),
+        };
+    }
+    return normalized;
+}
+
+function idOf(obj) {
+    for (const field of ID_FIELDS) {
+        if (typeof obj[field] === 'string' && obj[field]) return obj[field];
+    }
+    return null;
+}
+
+/**
+ * Every conversation in the state database, most recent first. When a
+ * conversation is stored more than once, the copy with the most steps wins.
+ *
+ * @param {import('./state-db').StateDb} db
+ * @returns {import('./conversations').Conversation[]}
+ */
+function listConversations(db) {
+    const byId = new Map();
+
+    for (const { value } of readJsonItems(db, CONVERSATION_KEY)) {
+        for (const { object: c } of findObjects(value, obj => Array.isArray(obj.steps) && !!idOf(obj))) {
+            const id = idOf(c);
+            if (byId.has(id) && byId.get(id).steps.length >= c.steps.length) continue;
+            byId.set(id, {
+                id,
+                summary: c.summary ?? c.title ?? c.name,
+                createdAt: c.createdAt ?? c.createdTime,
+                updatedAt: c.lastModifiedTime ?? c.updatedAt ?? c.lastUpdatedAt,
+                steps: c.steps.map(normalizeStep),
+            });
+        }
+    }
+
+    const time = c => Date.parse(c.updatedAt ?? c.createdAt ?? '') || 0;
+    return [...byId.values()].sort((a, b) => time(b) - time(a));
+}
+
+/**
+ * Custom title (title proxy), else the auto summary, else the id.
+ *
+ * @param {import('./conversations').Conversation} conversation
+ * @param {Record<string, string>} [titles]
+ */
+function titleOf(conversation, titles = {}) {
+    return titles[conversation.id] || conversation.summary || conversation.id;
+}
+
+// ─── Rendering ──────────────────────────────────────────────────────────────
+
+function fence(text, lang = '') {
+    const ticks = '`'.repeat(Math.max(3, ...(text.match(/`+/g) || []).map(t => t.length + 1)));
+    return `${ticks}${lang}\n${text}\n${ticks}`;
+}
+
+const HEADINGS = { user_input: 'User', planner_response: 'Agent', run_command: 'Run command' };
+
+function stepMarkdown(step) {
+    const heading = HEADINGS[step.type] ?? step.type;
+    const lines = [`## ${step.index + 1}. ${heading}${step.status ? ` (${step.status})` : ''}`, ''];
+
+    if (step.command) {
+        const { commandLine, cwd, exitCode, output } = step.command;
+        lines.push(fence(commandLine, 'sh'), '');
+        if (cwd) lines.push(`Directory: \`${cwd}\``, '');
+        if (exitCode !== undefined) lines.push(`Exit code: ${exitCode}`, '');
+        if (output) {
+            const shown = output.length > MAX_MARKDOWN_OUTPUT
+                ? `${output.slice(0, MAX_MARKDOWN_OUTPUT)}\n… (${output.length - MAX_MARKDOWN_OUTPUT} more characters in the JSON export)`
+                : output;
+            lines.push('<details><summary>Output</summary>', '', fence(shown), '', '</details>', '');
+        }
+    } else if (step.text) {
+        lines.push(step.text, '');
+    }
+    return lines.join('\n');
+}
+
+/**
+ * @param {import('./conversations').Conversation} conversation
+ * @param {string} title
+ */
+function toMarkdown(conversation, title) {
+    const header = [
+        `# ${title}`,
+        '',
+        `- Conversation: \`${conversation.id}\``,
+        conversation.createdAt ? `- Started: ${conversation.createdAt}` : null,
+        `- Steps: ${conversation.steps.length}`,
+        `- Exported: ${new Date().toISOString()}`,
+        '',
+    ].filter(l => l !== null);
+    return [...header, ...conversation.steps.map(stepMarkdown)].join('\n');
+}
+
+/**
+ * @param {import('./conversations').Conversation} conversation
+ * @param {string} title
+ */
+function toJson(conversation, title) {
+    return JSON.stringify({
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        title,
+        ...conversation,
+    }, null, 2) + '\n';
+}
+
+// ─── Export ─────────────────────────────────────────────────────────────────
+
+/**
+ * A title made safe for a file name on every OS.
+ *
+ * @param {string} title
+ */
+function safeFileName(title) {
+    const name = title
+        .replace(/[<>:"/\\|?*\x00-\x1f]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/[. ]+$/, '')
+        .slice(0, 100);
+    return name || 'conversation';
+}
+
+/**
+ * Write conversations to `outDir`, one file each, named after their titles.
+ * Never overwrites: a name that's taken (in this export or by a file already
+ * in `outDir`) gets a number, e.g. `Fix the build (2).md`.
+ *
+ * @param {import('./conversations').Conversation[]} conversations
+ * @param {{ outDir: string, format: 'md' | 'json', titles?: Record<string, string> }} options
+ * @returns {Promise<Array<{ id: string, title: string, file: string }>>}
+ */
+async function exportConversations(conversations, options) {
+    await fsp.mkdir(options.outDir, { recursive: true });
+    const used = new Set();
+    const written = [];
+
+    for (const conversation of conversations) {
+        const title = titleOf(conversation, options.titles);
+        const base = safeFileName(title);
+        const fileOf = name => path.join(options.outDir, `${name}.${options.format}`);
+        let name = base;
+        for (let n = 2; used.has(name.toLowerCase()) || fs.existsSync(fileOf(name)); n++) name = `${base} (${n})`;
+        used.add(name.toLowerCase());
+
+        const file = fileOf(name);
+        const data = options.format === 'json' ? toJson(conversation, title) : toMarkdown(conversation, title);
+        await fsp.writeFile(file, data, 'utf8');
+        written.push({ id: conversation.id, title, file });
+    }
+    return written;
+}
+
+module.exports = {
+    listConversations,
+    titleOf,
+    toMarkdown,
+    toJson,
+    safeFileName,
+    exportConversations,
+};
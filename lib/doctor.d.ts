@@ -0,0 +1,47 @@
+/**
+ * Type declarations for the compatibility doctor (lib/doctor.js).
+ */
+
+import { FixVars } from '../fixes';
+import { VerificationCheck } from './verify';
+
+export interface DoctorStep {
+    step: string;
+    description: string;
+    /** `missing`: an optional step that didn't match */
+    status: 'ok' | 'failed' | 'missing' | 'skipped';
+    vars?: FixVars;
+    offset?: number;
+    confidence?: number;
+    count?: number;
+}
+
+export interface DoctorTarget {
+    label: string;
+    /** Relative to the app root */
+    path: string;
+    exists: boolean;
+    size?: number;
+    sha256?: string;
+    patched?: boolean;
+    compatible: boolean;
+    error?: string;
+    steps?: DoctorStep[];
+    /** Syntax and scope checks of the would-be patch (unpatched bundles) */
+    verification?: VerificationCheck[];
+}
+
+export interface DoctorReport {
+    generatedAt: string;
+    tool: string;
+    platform: string;
+    install: { installDir: string; source: string; version: string };
+    compatible: boolean;
+    fixes: Array<{ id: string; description: string; compatible: boolean; targets: DoctorTarget[] }>;
+}
+
+export function runDoctor(install: { installDir: string; appRoot: string; source: string }): Promise<DoctorReport>;
+export function describeStep(step: DoctorStep): string;
+export function describeCheck(check: VerificationCheck): string;
+export function reportFileName(report: DoctorReport): string;
+export function writeReport(report: DoctorReport, file: string): void;
@@ -0,0 +1,168 @@
+/**
+ * Doctor — compatibility report for an Antigravity build.
+ *
+ * Runs every registered fix's signature steps against every target bundle
+ * without patching anything. The report is plain JSON so it can be attached
+ * to issues and diffed across IDE versions.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { fixes } = require('../fixes');
+const engine = require('./engine');
+const { buildIndex } = require('./scanner');
+const { verifyPatch } = require('./verify');
+const { sha256 } = require('./backup');
+const { getVersion } = require('./install');
+const pkg = require('../package.json');
+
+/**
+ * Per-step outcome as stored in the report.
+ *
+ * @param {import('./engine').StepReport} s
+ */
+function stepResult(s) {
+    const result = {
+        step: s.step,
+        description: s.description,
+        status: s.skipped ? 'skipped' : s.ok ? 'ok' : s.optional ? 'missing' : 'failed',
+    };
+    if (s.vars) result.vars = s.vars;
+    if (s.offset !== undefined) result.offset = s.offset;
+    if (s.confidence !== undefined) result.confidence = s.confidence;
+    if (s.count !== undefined) result.count = s.count;
+    return result;
+}
+
+/**
+ * Analyze one bundle for one fix.
+ */
+async function diagnoseTarget(fix, target, appRoot) {
+    const result = {
+        label: target.label,
+        path: path.relative(appRoot, target.path).split(path.sep).join('/'),
+        exists: target.exists,
+    };
+    if (!target.exists) return { ...result, compatible: false, error: 'File not found' };
+
+    try {
+        const buf = await fsp.readFile(target.path);
+        const content = buf.toString('utf8');
+        // Our own injection sits next to the anchor and does not disturb it,
+        // so patched bundles can be analyzed as-is.
+        const index = buildIndex(content);
+        const analysis = engine.analyze(fix, content, { all: true, index });
+        const patched = engine.isPatched(fix, content, index);
+
+        // The checks a patch must pass before it is written (unpatched bundles only)
+        let verification;
+        if (analysis.ok && !patched) {
+            const { insertAt, snippet } = analysis;
+            verification = verifyPatch(content, content.substring(0, insertAt) + snippet + content.substring(insertAt), analysis);
+        }
+
+        return {
+            ...result,
+            size: buf.length,
+            sha256: sha256(buf),
+            patched,
+            compatible: analysis.ok && (!verification || verification.ok),
+            error: analysis.error || (verification && verification.error),
+            steps: analysis.steps.map(stepResult),
+            verification: verification && verification.checks,
+        };
+    } catch (err) {
+        return { ...result, compatible: false, error: err.message };
+    }
+}
+
+/**
+ * Build the compatibility report for an installation.
+ *
+ * @param {{ installDir: string, appRoot: string, source: string }} install
+ */
+async function runDoctor(install) {
+    const report = {
+        generatedAt: new Date().toISOString(),
+        tool: `${pkg.name}@${pkg.version}`,
+        platform: `${process.platform}-${process.arch}`,
+        install: {
+            installDir: install.installDir,
+            source: install.source,
+            version: getVersion(install.appRoot),
+        },
+        compatible: true,
+        fixes: [],
+    };
+
+    for (const fix of fixes) {
+        const targets = [];
+        for (const t of engine.resolveTargets(fix, install.appRoot)) {
+            targets.push(await diagnoseTarget(fix, t, install.appRoot));
+        }
+        // Bundles this build doesn't have are skipped when patching
+        const found = targets.filter(t => t.exists);
+        const compatible = found.length > 0 && found.every(t => t.compatible);
+        report.fixes.push({ id: fix.id, description: fix.description, compatible, targets });
+        report.compatible = report.compatible && compatible;
+    }
+
+    return report;
+}
+
+/**
+ * One-line, human-readable summary of a step result.
+ *
+ * @param {ReturnType<typeof stepResult>} s
+ */
+function describeStep(s) {
+    if (s.status === 'skipped') return `${s.description}: skipped`;
+    if (s.step === 'unique') return `${s.description}: ${s.count} occurrence(s)`;
+    if (s.status === 'failed') return `${s.description}: not found`;
+    if (s.status === 'missing') return `${s.description}: not found (optional)`;
+    const parts = [];
+    if (s.offset !== undefined) parts.push(`offset ${s.offset}`);
+    if (s.vars) parts.push(Object.entries(s.vars).map(([k, v]) => `${k}=${v}`).join(', '));
+    if (s.confidence !== undefined) parts.push(`confidence ${s.confidence}`);
+    return `${s.description}: ${parts.join('; ')}`;
+}
+
+/**
+ * One-line summary of a verification check of the would-be patch.
+ *
+ * @param {import('./verify').VerificationCheck} c
+ */
+function describeCheck(c) {
+    if (c.skipped) return `${c.check} check: skipped (${c.skipped})`;
+    if (c.check === 'syntax') {
+        const what = c.scope ? `patched ${c.scope}` : 'patched bundle';
+        return c.ok ? `${what} compiles` : `${what} does not compile: ${c.error}`;
+    }
+    return c.ok
+        ? `injected identifiers in scope: ${c.names.join(', ')}`
+        : `not in scope at the insertion point: ${c.missing.join(', ')}`;
+}
+
+/**
+ * Default report file name, e.g. `ba-doctor-1.107.0-IDE-1.19.5.json`.
+ *
+ * @param {{ install: { version: string } }} report
+ */
+function reportFileName(report) {
+    const version = report.install.version.replace(/[^\w.]+/g, '-').replace(/^-|-$/g, '');
+    return `ba-doctor-${version}.json`;
+}
+
+/**
+ * @param {object} report
+ * @param {string} file
+ */
+function writeReport(report, file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(report, null, 2) + '\n', 'utf8');
+}
+
+module.exports = { runDoctor, describeStep, describeCheck, reportFileName, writeReport };
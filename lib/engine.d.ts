@@ -0,0 +1,91 @@
+/**
+ * Type declarations for the fix engine (lib/engine.js).
+ */
+
+import { FixDefinition, FixSettings, FixVars } from '../fixes';
+import { TokenIndex } from './scanner';
+import { Transaction } from './transaction';
+import { Verification } from './verify';
+
+export interface ResolvedTarget {
+    label: string;
+    path: string;
+    exists: boolean;
+}
+
+/** Outcome of one signature step. */
+export interface StepReport {
+    step: string;
+    description: string;
+    ok: boolean;
+    /** Not run because an earlier step failed */
+    skipped?: boolean;
+    /** Optional step: failing it doesn't fail the analysis */
+    optional?: boolean;
+    vars?: FixVars;
+    /** Anchor only: offset and matched text */
+    offset?: number;
+    match?: string;
+    /** Frequency only: winning score */
+    confidence?: number;
+    /** Uniqueness step: occurrences of the anchor */
+    count?: number;
+}
+
+export interface Analysis {
+    ok: boolean;
+    steps: StepReport[];
+    vars: FixVars;
+    error?: string;
+    offset?: number;
+    insertAt?: number;
+    snippet?: string;
+}
+
+export interface PatchResult {
+    fix: string;
+    success: boolean;
+    label: string;
+    /**
+     * `not-patched` is only reported by check / preview.
+     * `updated`: re-patched because the fix settings changed.
+     * `rolled-back`: patched, then restored because another target failed.
+     * `invalid-patch`: the patched bundle failed verification and was not written.
+     * `skipped`: this build doesn't have the bundle (other targets do).
+     */
+    status: 'patched' | 'updated' | 'rolled-back' | 'invalid-patch' | 'already-patched' | 'not-patched' | 'pattern-not-found' | 'file-not-found' | 'skipped'
+        | 'reverted' | 'no-backup' | 'stale-backup' | 'error';
+    bytesAdded?: number;
+    error?: string;
+    analysis?: Analysis;
+    /** Present when verification refused the patch */
+    verification?: Verification;
+    /** Backup created (patch) or restored from (revert) */
+    backup?: string;
+    /** IDE version of an outdated backup replaced while patching */
+    rotatedBackup?: string;
+    warning?: string;
+}
+
+export interface CheckResult {
+    fix: string;
+    label: string;
+    exists: boolean;
+    patched: boolean;
+    patchable: boolean;
+    backup: string | null;
+    /** IDE version recorded in the backup manifest */
+    backupVersion: string | null;
+    analysis?: Analysis;
+    error?: string;
+}
+
+export function resolveTargets(fix: FixDefinition, appRoot: string): ResolvedTarget[];
+export function analyze(fix: FixDefinition, content: string, options?: { all?: boolean; index?: TokenIndex; settings?: FixSettings }): Analysis;
+export function isPatched(fix: FixDefinition, content: string, index?: TokenIndex): boolean;
+export function patchFile(fix: FixDefinition, filePath: string, label: string, options?: { version?: string; settings?: FixSettings; tx?: Transaction }): Promise<PatchResult>;
+export function revertFile(fix: FixDefinition, filePath: string, label: string, options?: { force?: boolean }): Promise<PatchResult>;
+export function checkFile(fix: FixDefinition, filePath: string, label: string): Promise<CheckResult>;
+export function patchFix(fix: FixDefinition, appRoot: string, options?: { version?: string; settings?: FixSettings }): Promise<PatchResult[]>;
+export function missingTarget(fix: FixDefinition, target: { label: string; path: string }, anyExists: boolean): PatchResult;
+export function revertFix(fix: FixDefinition, appRoot: string, options?: { force?: boolean }): Promise<PatchResult[]>;
@@ -0,0 +1,483 @@
+/**
+ * Fix engine — applies fix definitions from fixes/ to Antigravity bundles.
+ *
+ * Shared by the CLI and the extension, so a bundle patched by one tool is
+ * recognized, checked and reverted by the other. Never logs: callers decide
+ * how to present results.
+ *
+ * @module engine
+ */
+
+'use strict';
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const backups = require('./backup');
+const checksums = require('./checksums');
+const scanner = require('./scanner');
+const { writeAtomic } = require('./atomic');
+const { withLock, createTransaction } = require('./transaction');
+const { verifyPatch } = require('./verify');
+
+/** Characters searched on each side of an indexed anchor token. */
+const ANCHOR_RADIUS = 1024;
+
+// ─── Targets ────────────────────────────────────────────────────────────────
+
+/**
+ * Resolve the bundles a fix patches.
+ *
+ * @param {import('../fixes').FixDefinition} fix
+ * @param {string} appRoot - Antigravity's `resources/app` directory
+ */
+function resolveTargets(fix, appRoot) {
+    return fix.targets.map(t => {
+        const candidates = t.paths.map(p => path.join(appRoot, ...p.split('/')));
+        const found = candidates.find(c => fs.existsSync(c));
+        return { label: t.label, path: found || candidates[0], exists: !!found };
+    });
+}
+
+// ─── Analysis ───────────────────────────────────────────────────────────────
+
+/**
+ * Slice of content a step searches, relative to the anchor.
+ */
+function sliceWindow(content, anchorIndex, window) {
+    if (!window) return content;
+    const start = Math.max(0, anchorIndex + window[0]);
+    const end = Math.min(content.length, anchorIndex + window[1]);
+    return content.substring(start, end);
+}
+
+function pickCaptures(match, captures) {
+    const vars = {};
+    for (const [name, group] of Object.entries(captures)) vars[name] = match[group];
+    return vars;
+}
+
+/**
+ * First match of an anchor pattern. With an index, only the neighbourhood of
+ * each occurrence of the anchor's token is searched.
+ */
+function findAnchor(sig, content, index) {
+    const offsets = sig.token ? scanner.offsetsOf(index, sig.token) : null;
+    if (!offsets) return sig.pattern.exec(content);
+
+    const flags = sig.pattern.flags.includes('g') ? sig.pattern.flags : sig.pattern.flags + 'g';
+    for (const o of offsets) {
+        const start = Math.max(0, o - ANCHOR_RADIUS);
+        const re = new RegExp(sig.pattern.source, flags);
+        const haystack = content.substring(start, o + ANCHOR_RADIUS);
+        let m;
+        while ((m = re.exec(haystack)) !== null) {
+            // Only accept matches that contain this occurrence of the token
+            if (start + m.index <= o && start + m.index + m[0].length > o) {
+                m.index += start;
+                return m;
+            }
+            if (m[0].length === 0) re.lastIndex++;
+        }
+    }
+    return null;
+}
+
+/**
+ * How often the anchor's matched text occurs in the bundle. With an index,
+ * only positions where the token sits at the same relative offset are checked.
+ */
+function countAnchor(sig, content, anchor, index) {
+    const offsets = sig.token ? scanner.offsetsOf(index, sig.token) : null;
+    const rel = sig.token ? anchor.match.indexOf(sig.token) : -1;
+    if (!offsets || rel === -1) return content.split(anchor.match).length - 1;
+    return offsets.filter(o => o >= rel && content.startsWith(anchor.match, o - rel)).length;
+}
+
+/**
+ * Last match of a pattern in a string, or null.
+ */
+function lastMatch(pattern, haystack) {
+    const re = new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g');
+    let last = null;
+    let m;
+    while ((m = re.exec(haystack)) !== null) {
+        last = m;
+        if (m[0].length === 0) re.lastIndex++;
+    }
+    return last;
+}
+
+/**
+ * Run one signature step. Returns the step report; extracted variables are
+ * merged into `vars`.
+ */
+function runStep(sig, content, anchor, vars, index) {
+    const report = { step: sig.step, description: sig.description, ok: false };
+
+    if (sig.kind === 'anchor') {
+        const match = findAnchor(sig, content, index);
+        if (!match) return report;
+        Object.assign(vars, pickCaptures(match, sig.captures));
+        return { ...report, ok: true, offset: match.index, match: match[0], vars: pickCaptures(match, sig.captures) };
+    }
+
+    const scope = anchor ? anchor.offset : 0;
+
+    if (sig.kind === 'regex') {
+        const re = typeof sig.pattern === 'function' ? sig.pattern(vars) : sig.pattern;
+        const haystack = sliceWindow(content, scope, sig.window);
+        const match = sig.last ? lastMatch(re, haystack) : re.exec(haystack);
+        if (!match) return report;
+        const found = pickCaptures(match, sig.captures);
+        Object.assign(vars, found);
+        return { ...report, ok: true, vars: found };
+    }
+
+    // frequency
+    const exclude = sig.exclude ? sig.exclude(vars) : [];
+    const scores = {};
+    for (const c of sig.candidates) {
+        const haystack = sliceWindow(content, scope, c.window);
+        const re = new RegExp(c.pattern.source, c.pattern.flags.includes('g') ? c.pattern.flags : c.pattern.flags + 'g');
+        let m;
+        while ((m = re.exec(haystack)) !== null) {
+            if (!exclude.includes(m[1])) scores[m[1]] = (scores[m[1]] || 0) + c.weight;
+        }
+    }
+
+    let best = null;
+    let confidence = 0;
+    for (const [alias, score] of Object.entries(scores)) {
+        if (score > confidence) {
+            best = alias;
+            confidence = score;
+        }
+    }
+    if (!best) return report;
+
+    vars[sig.capture] = best;
+    return { ...report, ok: true, vars: { [sig.capture]: best }, confidence };
+}
+
+/**
+ * Run every signature step of a fix against a bundle.
+ *
+ * Stops at the first failing step, reporting the rest as skipped. With
+ * `options.all`, steps after a failure still run as long as the anchor was
+ * found, so diagnostics show everything that no longer matches. On success,
+ * `snippet` is the exact code to insert at `insertAt` (marker included).
+ *
+ * Pass the bundle's token index (see lib/scanner.js) to search only near
+ * the indexed anchor tokens instead of the whole bundle. `settings` are the
+ * fix's user settings, handed to the injection template.
+ *
+ * @param {import('../fixes').FixDefinition} fix
+ * @param {string} content
+ * @param {{ all?: boolean, index?: import('./scanner').TokenIndex, settings?: import('../fixes').FixSettings }} [options]
+ */
+function analyze(fix, content, options = {}) {
+    const vars = {};
+    const steps = [];
+    let anchor = null;
+    let anchorSig = null;
+    let error = null;
+
+    for (const sig of fix.signatures) {
+        if (error && !(options.all && anchor)) {
+            steps.push({ step: sig.step, description: sig.description, ok: false, skipped: true });
+            continue;
+        }
+        const report = runStep(sig, content, anchor, vars, options.index);
+        if (sig.optional) report.optional = true;
+        steps.push(report);
+        if (!report.ok && !sig.optional) {
+            const verb = sig.kind === 'frequency' ? 'determine' : 'find';
+            error = error || `Could not ${verb} ${sig.description}`;
+        } else if (sig.kind === 'anchor') {
+            anchor = report;
+            anchorSig = sig;
+        }
+    }
+
+    if (!anchor) {
+        return { ok: false, steps, vars, error: error || `Fix "${fix.id}" has no anchor signature` };
+    }
+
+    // The anchor must be unique, or we can't know which one to patch
+    const count = countAnchor(anchorSig, content, anchor, options.index);
+    steps.push({ step: 'unique', description: 'unique target', ok: count === 1, count });
+    if (error) return { ok: false, steps, vars, error, offset: anchor.offset };
+    if (count !== 1) {
+        return { ok: false, steps, vars, error: `Target found ${count} times (expected 1)`, offset: anchor.offset };
+    }
+
+    const insertAt = fix.injection.position === 'before'
+        ? anchor.offset
+        : anchor.offset + anchor.match.length;
+
+    let snippet;
+    try {
+        snippet = fix.marker + fix.injection.template(vars, options.settings);
+    } catch (err) {
+        return { ok: false, steps, vars, error: err.message, offset: anchor.offset };
+    }
+
+    return { ok: true, steps, vars, offset: anchor.offset, insertAt, snippet };
+}
+
+const { isPatched } = scanner;
+
+// ─── File Operations ────────────────────────────────────────────────────────
+
+/**
+ * Whether a patched bundle carries the snippet the given settings produce.
+ * Bundles we can't analyze any more are left alone.
+ */
+async function isCurrent(fix, filePath, scan, settings) {
+    const cached = scan.entry.analyses[fix.id];
+    const content = cached ? null : scan.content || await fsp.readFile(filePath, 'utf8');
+    const analysis = cached || analyze(fix, content, { index: scan.entry.index });
+    if (!analysis.ok) return true;
+
+    let expected;
+    try {
+        expected = fix.marker + fix.injection.template(analysis.vars, settings);
+    } catch {
+        return false;
+    }
+    return cached ? cached.snippet === expected : content.includes(expected);
+}
+
+/**
+ * Insert the fix into an unpatched bundle, backing it up first.
+ */
+async function insertFix(fix, filePath, base, scan, options) {
+    const original = scan.buffer || await fsp.readFile(filePath);
+    const content = original.toString('utf8');
+    const analysis = analyze(fix, content, { index: scan.entry.index, settings: options.settings });
+    if (!analysis.ok) {
+        return { ...base, success: false, status: 'pattern-not-found', error: analysis.error, analysis };
+    }
+
+    const { insertAt, snippet } = analysis;
+    const patched = content.substring(0, insertAt) + snippet + content.substring(insertAt);
+
+    // Never write a bundle that won't parse or calls something that isn't there
+    const verification = verifyPatch(content, patched, analysis);
+    if (!verification.ok) {
+        return { ...base, success: false, status: 'invalid-patch', error: verification.error, analysis, verification };
+    }
+
+    if (options.tx) await options.tx.snapshot(filePath);
+    const backup = await backups.ensureBackup(filePath, original, options.version || 'unknown');
+    await writeAtomic(filePath, patched);
+    const checksum = await checksums.updateChecksum(filePath, patched, options.tx);
+    await backups.recordPatched(backup.backup, patched, checksum);
+    await scanner.rememberFile(filePath, patched);
+    await scanner.saveAnalysis(filePath, fix.id, analysis);
+
+    return {
+        ...base,
+        success: true,
+        status: 'patched',
+        bytesAdded: Buffer.byteLength(snippet),
+        analysis,
+        backup: backup.created ? backup.backup : undefined,
+        rotatedBackup: backup.rotated,
+    };
+}
+
+/**
+ * Apply a fix to a single bundle.
+ *
+ * With `options.settings`, a bundle patched with different settings is
+ * restored from its backup and patched again (`updated`). Without them,
+ * any patched bundle counts as `already-patched`.
+ *
+ * @param {import('../fixes').FixDefinition} fix
+ * @param {string} filePath
+ * @param {string} label
+ * @param {{ version?: string, settings?: import('../fixes').FixSettings, tx?: object }} [options] - IDE version recorded in the backup manifest, fix settings, transaction (see patchFix)
+ */
+async function patchFile(fix, filePath, label, options = {}) {
+    const base = { fix: fix.id, label };
+    try {
+        const scan = await scanner.scanFile(filePath);
+        if (!scan.entry.patched[fix.id]) {
+            return await insertFix(fix, filePath, base, scan, options);
+        }
+        if (!options.settings || await isCurrent(fix, filePath, scan, options.settings)) {
+            return { ...base, success: true, status: 'already-patched' };
+        }
+
+        // Patched with other settings: start over from the original
+        if (options.tx) await options.tx.snapshot(filePath);
+        const restored = await backups.restoreBackup(filePath, { tx: options.tx });
+        await scanner.forgetFile(filePath);
+        if (restored.status !== 'reverted') {
+            const error = restored.warning || 'No backup to re-patch from';
+            return { ...base, success: false, status: restored.status === 'stale-backup' ? 'stale-backup' : 'error', error };
+        }
+        const result = await insertFix(fix, filePath, base, await scanner.scanFile(filePath), options);
+        return result.status === 'patched' ? { ...result, status: 'updated' } : result;
+    } catch (err) {
+        return { ...base, success: false, status: 'error', error: err.message };
+    }
+}
+
+/**
+ * Restore a bundle from its backup and remove the backup.
+ *
+ * Refuses (`stale-backup`) when the bundle changed since we patched it,
+ * unless `options.force` is set.
+ *
+ * @param {import('../fixes').FixDefinition} fix
+ * @param {string} filePath
+ * @param {string} label
+ * @param {{ force?: boolean }} [options]
+ */
+async function revertFile(fix, filePath, label, options = {}) {
+    const base = { fix: fix.id, label };
+    try {
+        const result = await backups.restoreBackup(filePath, options);
+        if (result.status === 'reverted') await scanner.forgetFile(filePath);
+        switch (result.status) {
+            case 'no-backup':
+                return { ...base, success: false, status: 'no-backup' };
+            case 'stale-backup':
+                return { ...base, success: false, status: 'stale-backup', backup: result.backup, error: result.warning };
+            default:
+                return { ...base, success: true, status: 'reverted', backup: result.backup, warning: result.warning };
+        }
+    } catch (err) {
+        return { ...base, success: false, status: 'error', error: err.message };
+    }
+}
+
+/**
+ * Report a bundle's state without modifying it.
+ *
+ * Served from the scan cache when the bundle hasn't changed since it was
+ * last seen, so this usually doesn't read the bundle at all.
+ *
+ * @param {import('../fixes').FixDefinition} fix
+ * @param {string} filePath
+ * @param {string} label
+ */
+async function checkFile(fix, filePath, label) {
+    const backup = backups.findBackup(filePath);
+    const manifest = backup ? await backups.readManifest(backup) : null;
+    const base = { fix: fix.id, label, backup, backupVersion: manifest ? manifest.ideVersion : null };
+    try {
+        const scan = await scanner.scanFile(filePath);
+        if (scan.entry.patched[fix.id]) {
+            return { ...base, exists: true, patched: true, patchable: false };
+        }
+        let analysis = scan.entry.analyses[fix.id];
+        if (!analysis) {
+            const content = scan.content || await fsp.readFile(filePath, 'utf8');
+            analysis = analyze(fix, content, { index: scan.entry.index });
+            await scanner.saveAnalysis(filePath, fix.id, analysis);
+        }
+        return { ...base, exists: true, patched: false, patchable: analysis.ok, analysis };
+    } catch (err) {
+        return { ...base, exists: false, patched: false, patchable: false, error: err.message };
+    }
+}
+
+// ─── Whole Fixes ────────────────────────────────────────────────────────────
+
+/**
+ * Result for a target bundle this build doesn't have: `skipped` while
+ * other targets exist, a failure when none do.
+ *
+ * @param {import('../fixes').FixDefinition} fix
+ * @param {{ label: string, path: string }} target
+ * @param {boolean} anyExists
+ */
+function missingTarget(fix, target, anyExists) {
+    return anyExists
+        ? { fix: fix.id, success: true, label: target.label, status: 'skipped', warning: `Not in this build: ${target.path}` }
+        : { fix: fix.id, success: false, label: target.label, status: 'file-not-found', error: `File not found: ${target.path}` };
+}
+
+/**
+ * Results for every target when the whole operation failed (e.g. lock).
+ */
+function failAll(fix, targets, err) {
+    return targets.map(t => ({ fix: fix.id, success: false, label: t.label, status: 'error', error: err.message }));
+}
+
+/**
+ * Apply a fix to all of its target bundles as one transaction.
+ *
+ * Holds the installation's patch lock, so the CLI and the extension never
+ * patch at the same time. If any target fails, every bundle modified so far
+ * is restored (with its backups) and reported as `rolled-back`.
+ *
+ * Not every build ships every target (e.g. no jetskiAgent): a missing
+ * bundle is `skipped` and doesn't fail the others, unless none exist.
+ *
+ * @param {import('../fixes').FixDefinition} fix
+ * @param {string} appRoot
+ * @param {{ version?: string, settings?: import('../fixes').FixSettings }} [options]
+ */
+async function patchFix(fix, appRoot, options = {}) {
+    const targets = resolveTargets(fix, appRoot);
+    try {
+        return await withLock(appRoot, async () => {
+            const tx = createTransaction();
+            const results = [];
+            const anyExists = targets.some(t => t.exists);
+            for (const t of targets) {
+                results.push(t.exists
+                    ? await patchFile(fix, t.path, t.label, { ...options, tx })
+                    : missingTarget(fix, t, anyExists));
+            }
+
+            const failed = results.find(r => !r.success);
+            if (!failed) return results;
+
+            await tx.rollback();
+            const error = `Rolled back: [${failed.label}] ${failed.error}`;
+            return results.map(r => r.status === 'patched' || r.status === 'updated'
+                ? { ...r, success: false, status: 'rolled-back', error }
+                : r);
+        });
+    } catch (err) {
+        return failAll(fix, targets, err);
+    }
+}
+
+/**
+ * Revert a fix on all of its target bundles, holding the patch lock.
+ *
+ * @param {import('../fixes').FixDefinition} fix
+ * @param {string} appRoot
+ * @param {{ force?: boolean }} [options]
+ */
+async function revertFix(fix, appRoot, options = {}) {
+    const targets = resolveTargets(fix, appRoot);
+    try {
+        return await withLock(appRoot, async () => {
+            const results = [];
+            for (const t of targets) results.push(await revertFile(fix, t.path, t.label, options));
+            return results;
+        });
+    } catch (err) {
+        return failAll(fix, targets, err);
+    }
+}
+
+module.exports = {
+    resolveTargets,
+    analyze,
+    isPatched,
+    patchFile,
+    revertFile,
+    checkFile,
+    patchFix,
+    revertFix,
+    missingTarget,
+};
@@ -0,0 +1,38 @@
+/**
+ * Type declarations for the patch history (lib/history.js).
+ */
+
+import { FixDefinition, FixVars } from '../fixes';
+import { PatchResult } from './engine';
+
+export interface HistoryEntry {
+    /** ISO timestamp */
+    time: string;
+    tool: 'cli' | 'extension';
+    toolVersion: string;
+    /** `repair`: re-applied after Antigravity replaced the bundle (watch mode) */
+    action: 'apply' | 'revert' | 'repair';
+    fix: string;
+    ideVersion: string;
+    label: string;
+    file: string | null;
+    status: PatchResult['status'];
+    success: boolean;
+    /** Identifiers the signatures extracted */
+    aliases?: FixVars;
+    /** Offset of the anchor in the bundle */
+    offset?: number;
+    bytesAdded?: number;
+    error?: string;
+}
+
+export function setTool(name: 'cli' | 'extension'): void;
+export function historyPath(): string;
+export function recordHistory(
+    fix: FixDefinition,
+    appRoot: string,
+    results: PatchResult[],
+    context: { action: 'apply' | 'revert' | 'repair'; version?: string },
+): Promise<void>;
+export function readHistory(options?: { fix?: string; limit?: number }): HistoryEntry[];
+export function formatEntry(entry: HistoryEntry): string;
@@ -0,0 +1,150 @@
+/**
+ * Patch history: every apply, revert, re-apply after an update and failure,
+ * appended to `<state dir>/history.jsonl`, one JSON object per line.
+ *
+ * Both tools write the same file, so `better-antigravity history` shows
+ * what the extension did and vice versa. Entries carry the IDE version and
+ * the aliases the signatures extracted, so a regression can be lined up
+ * with the Antigravity update that caused it.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { getStateDir } = require('./state');
+const { resolveTargets } = require('./engine');
+const pkg = require('../package.json');
+
+const HISTORY_FILE = 'history.jsonl';
+
+/** Past this size the oldest entries are dropped, keeping KEEP_ENTRIES. */
+const MAX_BYTES = 1024 * 1024;
+const KEEP_ENTRIES = 2000;
+
+/** Outcomes that changed nothing and aren't worth a line. */
+const QUIET_STATUSES = new Set(['already-patched', 'no-backup', 'skipped']);
+
+/** @type {'cli' | 'extension'} */
+let tool = 'cli';
+
+/**
+ * Which tool the entries of this process are attributed to.
+ *
+ * @param {'cli' | 'extension'} name
+ */
+function setTool(name) {
+    tool = name;
+}
+
+function historyPath() {
+    return path.join(getStateDir(), HISTORY_FILE);
+}
+
+/**
+ * One history entry per result that changed (or failed to change) a bundle.
+ *
+ * @param {import('../fixes').FixDefinition} fix
+ * @param {string} appRoot
+ * @param {import('./engine').PatchResult[]} results
+ * @param {{ action: 'apply' | 'revert' | 'repair', version?: string }} context
+ * @returns {import('./history').HistoryEntry[]}
+ */
+function toEntries(fix, appRoot, results, context) {
+    const files = Object.fromEntries(resolveTargets(fix, appRoot).map(t => [t.label, t.path]));
+
+    const time = new Date().toISOString();
+    return results.filter(r => !QUIET_STATUSES.has(r.status)).map(r => {
+        const entry = {
+            time,
+            tool,
+            toolVersion: pkg.version,
+            action: context.action,
+            fix: fix.id,
+            ideVersion: context.version || 'unknown',
+            label: r.label,
+            file: files[r.label] || null,
+            status: r.status,
+            success: r.success,
+        };
+        if (r.analysis && Object.keys(r.analysis.vars).length) entry.aliases = r.analysis.vars;
+        if (r.analysis && r.analysis.offset !== undefined) entry.offset = r.analysis.offset;
+        if (r.bytesAdded !== undefined) entry.bytesAdded = r.bytesAdded;
+        if (r.error) entry.error = r.error;
+        return entry;
+    });
+}
+
+/**
+ * Append the results of an apply / revert / re-apply to the history.
+ * Never throws: the history must not fail a patch.
+ *
+ * @param {import('../fixes').FixDefinition} fix
+ * @param {string} appRoot
+ * @param {import('./engine').PatchResult[]} results
+ * @param {{ action: 'apply' | 'revert' | 'repair', version?: string }} context
+ */
+async function recordHistory(fix, appRoot, results, context) {
+    const entries = toEntries(fix, appRoot, results, context);
+    if (entries.length === 0) return;
+    try {
+        const file = historyPath();
+        await fsp.mkdir(path.dirname(file), { recursive: true });
+        await fsp.appendFile(file, entries.map(e => JSON.stringify(e) + '\n').join(''), 'utf8');
+        if ((await fsp.stat(file)).size > MAX_BYTES) await trimHistory(file);
+    } catch { /* best effort */ }
+}
+
+async function trimHistory(file) {
+    const lines = (await fsp.readFile(file, 'utf8')).split('\n').filter(Boolean);
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fsp.writeFile(tmp, lines.slice(-KEEP_ENTRIES).join('\n') + '\n', 'utf8');
+    await fsp.rename(tmp, file);
+}
+
+/**
+ * History entries, oldest first. Unreadable lines are skipped.
+ *
+ * @param {{ fix?: string, limit?: number }} [options] - only this fix, only the last `limit` entries
+ * @returns {import('./history').HistoryEntry[]}
+ */
+function readHistory(options = {}) {
+    let text;
+    try {
+        text = fs.readFileSync(historyPath(), 'utf8');
+    } catch {
+        return [];
+    }
+    let entries = [];
+    for (const line of text.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            entries.push(JSON.parse(line));
+        } catch { /* partial write */ }
+    }
+    if (options.fix) entries = entries.filter(e => e.fix === options.fix);
+    return options.limit ? entries.slice(-options.limit) : entries;
+}
+
+/**
+ * One line per entry, e.g.
+ * `2026-01-02 10:00:00  cli        apply   auto-run [workbench] patched  on 1.19.5  +412 B @ 81234  (enum=Dhe, …)`
+ *
+ * @param {import('./history').HistoryEntry} e
+ */
+function formatEntry(e) {
+    const parts = [
+        e.time.replace('T', ' ').replace(/\.\d+Z$/, ''),
+        e.tool.padEnd(9),
+        e.action.padEnd(6),
+        `${e.fix} [${e.label}] ${e.status}`,
+        `on ${e.ideVersion}`,
+    ];
+    if (e.bytesAdded !== undefined) parts.push(`+${e.bytesAdded} B${e.offset !== undefined ? ` @ ${e.offset}` : ''}`);
+    if (e.aliases) parts.push(`(${Object.entries(e.aliases).map(([k, v]) => `${k}=${v}`).join(', ')})`);
+    if (e.error) parts.push(`— ${e.error}`);
+    return parts.join('  ');
+}
+
+module.exports = { setTool, historyPath, recordHistory, readHistory, formatEntry };
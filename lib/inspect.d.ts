@@ -0,0 +1,40 @@
+/**
+ * Type declarations for the auto-run inspector (lib/inspect.js).
+ */
+
+import { StateDb } from './state-db';
+
+export interface InspectTarget {
+    label: string;
+    path: string;
+    exists: boolean;
+    patched: boolean;
+    patchable: boolean;
+}
+
+export interface InspectReport {
+    generatedAt: string;
+    install: { installDir: string; version: string };
+    stateDb: string;
+    /** Set when the state database could not be read */
+    error?: string;
+    targets: InspectTarget[];
+    /** Where agent settings were found: ItemTable key and path inside its value */
+    sources: Array<{ key: string; path: string }>;
+    /** The stored terminal execution policy; `name` is e.g. `EAGER`, or `#3` when unknown */
+    policy: { raw: unknown; name: string; source: string } | null;
+    /** null: not stored */
+    secureMode: boolean | null;
+    /** Other execution-related agent flags */
+    flags: Array<{ name: string; value: unknown; source: string }>;
+    /** Why auto-run will not fire; empty when nothing blocks it */
+    blockers: string[];
+    warnings: string[];
+    ok: boolean;
+}
+
+export function findAgentSettings(db: StateDb): Array<{ key: string; path: string; settings: Record<string, unknown> }>;
+export function readPolicyNames(content: string): Record<number, string> | null;
+export function policyName(raw: unknown, names: Record<number, string> | null): string;
+export function inspectAutoRun(install: { installDir: string; appRoot: string }, userDataDir: string): Promise<InspectReport>;
+export function describePolicy(report: InspectReport): string;
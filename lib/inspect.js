@@ -0,0 +1,208 @@
+/**
+ * Inspector — why auto-run does or doesn't fire.
+ *
+ * The patched handler only auto-confirms when the conversation's terminal
+ * execution policy is EAGER and secure mode is off. Both come from
+ * Antigravity's stored agent settings, not from this tool, so a correctly
+ * patched bundle can still look broken. This reads those settings from the
+ * state database (read-only, see lib/state-db.js), puts them next to the
+ * patch state of the bundles and names every combination that blocks
+ * auto-run.
+ *
+ * As with conversations, the layout of the stored settings is not
+ * hardcoded: every JSON value is searched for objects carrying the fields
+ * the handler reads.
+ */
+
+'use strict';
+
+const { getFix } = require('../fixes');
+const engine = require('./engine');
+const scanner = require('./scanner');
+const { getVersion } = require('./install');
+const { getStateDbPath, openStateDb, readJsonItems, findObjects } = require('./state-db');
+
+/** Fields the auto-run handler reads from the agent settings. */
+const POLICY_FIELD = 'terminalAutoExecutionPolicy';
+const SECURE_FIELD = 'secureModeEnabled';
+
+/** The only policy the handler auto-confirms with. */
+const AUTO_RUN_POLICY = 'EAGER';
+
+/** Other agent settings worth showing next to the policy. */
+const RELATED_FLAG = /auto|secure|strict|sandbox|terminal|command|review|allow|deny|execut/i;
+
+// ─── Settings ───────────────────────────────────────────────────────────────
+
+/**
+ * Objects in the state database that look like agent settings.
+ *
+ * @param {import('./state-db').StateDb} db
+ * @returns {Array<{ key: string, path: string, settings: object }>}
+ */
+function findAgentSettings(db) {
+    const found = [];
+    for (const { key, value } of readJsonItems(db, /./)) {
+        for (const { path, object } of findObjects(value, obj => POLICY_FIELD in obj || SECURE_FIELD in obj)) {
+            found.push({ key, path, settings: object });
+        }
+    }
+    return found;
+}
+
+/**
+ * Member names of the policy enum, by value, from a bundle that defines it
+ * (`X[X.EAGER=3]="EAGER"`). Policies stored as numbers are shown by name.
+ *
+ * @param {string} content
+ * @returns {Record<number, string> | null}
+ */
+function readPolicyNames(content) {
+    const eager = /([\w$]+)\[\1\.EAGER=(\d+)\]="EAGER"/.exec(content);
+    if (!eager) return null;
+    const v = eager[1].replace(/\$/g, '\\$');
+    const member = new RegExp(`${v}\\[${v}\\.(\\w+)=(\\d+)\\]="\\1"`, 'g');
+    const names = {};
+    for (const m of content.slice(Math.max(0, eager.index - 2000), eager.index + 2000).matchAll(member)) {
+        names[m[2]] = m[1];
+    }
+    return names;
+}
+
+/**
+ * `3`, `"EAGER"` or `"TERMINAL_AUTO_EXECUTION_POLICY_EAGER"` -> `EAGER`.
+ *
+ * @param {unknown} raw
+ * @param {Record<number, string> | null} names
+ * @returns {string}
+ */
+function policyName(raw, names) {
+    if (typeof raw === 'number') return names && names[raw] ? names[raw] : `#${raw}`;
+    return String(raw).replace(/^.*POLICY_/, '').toUpperCase();
+}
+
+/**
+ * Agent flags related to command execution, with the row they came from.
+ */
+function relatedFlags(sources) {
+    const flags = [];
+    const seen = new Set();
+    for (const { key, settings } of sources) {
+        for (const [name, value] of Object.entries(settings)) {
+            if (name === POLICY_FIELD || name === SECURE_FIELD || !RELATED_FLAG.test(name)) continue;
+            if (value !== null && typeof value === 'object' && !Array.isArray(value)) continue;
+            const id = `${name}=${JSON.stringify(value)}`;
+            if (seen.has(id)) continue;
+            seen.add(id);
+            flags.push({ name, value, source: key });
+        }
+    }
+    return flags;
+}
+
+// ─── Report ─────────────────────────────────────────────────────────────────
+
+/**
+ * Patch state of the auto-run bundles, and the policy enum from them
+ * (cached with the bundle's scan, see lib/scanner.js).
+ */
+async function inspectTargets(fix, appRoot) {
+    const targets = [];
+    let names = null;
+    for (const t of engine.resolveTargets(fix, appRoot)) {
+        const state = t.exists ? await engine.checkFile(fix, t.path, t.label) : { exists: false, patched: false, patchable: false };
+        targets.push({ label: t.label, path: t.path, exists: state.exists, patched: state.patched, patchable: state.patchable });
+        if (!names && state.exists) {
+            try {
+                names = await scanner.derive(t.path, 'policyNames', readPolicyNames);
+            } catch { /* shown as a raw value */ }
+        }
+    }
+    return { targets, names };
+}
+
+/**
+ * Stored agent settings, patch state, and what blocks auto-run.
+ *
+ * @param {{ installDir: string, appRoot: string }} install
+ * @param {string} userDataDir
+ * @returns {Promise<import('./inspect').InspectReport>}
+ */
+async function inspectAutoRun(install, userDataDir) {
+    const fix = getFix('auto-run');
+    const { targets, names } = await inspectTargets(fix, install.appRoot);
+    const report = {
+        generatedAt: new Date().toISOString(),
+        install: { installDir: install.installDir, version: getVersion(install.appRoot) },
+        stateDb: getStateDbPath(userDataDir),
+        targets,
+        sources: [],
+        policy: null,
+        secureMode: null,
+        flags: [],
+        blockers: [],
+        warnings: [],
+        ok: false,
+    };
+
+    let sources = [];
+    try {
+        const db = await openStateDb(report.stateDb);
+        try {
+            sources = findAgentSettings(db);
+        } finally {
+            db.close();
+        }
+    } catch (err) {
+        report.error = err.message;
+    }
+    report.sources = sources.map(s => ({ key: s.key, path: s.path }));
+
+    // The first source wins; others are only reported when they disagree
+    const withPolicy = sources.filter(s => s.settings[POLICY_FIELD] != null);
+    const withSecure = sources.filter(s => s.settings[SECURE_FIELD] != null);
+    if (withPolicy.length) {
+        const raw = withPolicy[0].settings[POLICY_FIELD];
+        report.policy = { raw, name: policyName(raw, names), source: withPolicy[0].key };
+    }
+    if (withSecure.length) report.secureMode = withSecure[0].settings[SECURE_FIELD] === true;
+    report.flags = relatedFlags(sources);
+
+    // ── What blocks auto-run ──
+    const anyExists = targets.some(t => t.exists);
+    for (const t of targets) {
+        // A bundle this build doesn't ship is skipped when patching
+        if (!t.exists && anyExists) report.warnings.push(`${t.label} bundle is not in this build: ${t.path}`);
+        else if (!t.exists) report.blockers.push(`${t.label} bundle not found: ${t.path}`);
+        else if (!t.patched) report.blockers.push(`Auto-run fix is not applied to the ${t.label} bundle${t.patchable ? '' : ' (incompatible with this build)'}`);
+    }
+    if (!report.policy) {
+        const why = report.error ? 'the state database could not be read' : 'no stored terminal execution policy was found';
+        report.warnings.push(`Policy unknown: ${why}. Antigravity treats a missing policy as OFF.`);
+    } else if (report.policy.name !== AUTO_RUN_POLICY) {
+        report.blockers.push(`Terminal execution policy is ${report.policy.name}; auto-run needs ${AUTO_RUN_POLICY} (set it in the agent settings)`);
+    }
+    if (report.secureMode) report.blockers.push('Secure mode is on; commands are never auto-run in secure mode');
+
+    const policies = new Set(withPolicy.map(s => policyName(s.settings[POLICY_FIELD], names)));
+    if (policies.size > 1) report.warnings.push(`Conflicting stored policies (${[...policies].join(', ')}); a conversation may use any of them`);
+    if (new Set(withSecure.map(s => s.settings[SECURE_FIELD] === true)).size > 1) {
+        report.warnings.push('Secure mode is on in some stored settings and off in others');
+    }
+
+    report.ok = report.blockers.length === 0;
+    return report;
+}
+
+/**
+ * `EAGER (3)` / `EAGER` / `not set`
+ *
+ * @param {import('./inspect').InspectReport} report
+ */
+function describePolicy(report) {
+    if (!report.policy) return 'not set';
+    const { raw, name } = report.policy;
+    return typeof raw === 'number' && !name.startsWith('#') ? `${name} (${raw})` : name;
+}
+
+module.exports = { findAgentSettings, readPolicyNames, policyName, inspectAutoRun, describePolicy };
@@ -0,0 +1,23 @@
+/**
+ * Type declarations for the installation locator (lib/install.js).
+ */
+
+export interface LocateOptions {
+    /** CLI --path or the betterAntigravity.installPath setting */
+    explicitPath?: string;
+    /** App root of the running IDE (vscode.env.appRoot) */
+    appRoot?: string;
+}
+
+export interface Installation {
+    installDir: string;
+    appRoot: string;
+    source: 'explicit' | 'running' | 'cwd' | 'path' | 'registry' | 'default';
+}
+
+export function appRootOf(dir: string): string | null;
+export function isAntigravityDir(dir: string): boolean;
+export function findAntigravityPath(): string | null;
+export function locate(options?: LocateOptions): Installation | null;
+export function locateAll(options?: { extraPaths?: string[] }): Installation[];
+export function getVersion(appRoot: string): string;
@@ -0,0 +1,292 @@
+/**
+ * Antigravity installation locator shared by the CLI and the extension.
+ *
+ * An installation has an install dir (what the user points --path at) and an
+ * app root (`resources/app`, or `Contents/Resources/app` on macOS) where the
+ * bundles live. Fix targets are always resolved from the app root.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { fixes } = require('../fixes');
+
+/**
+ * Bundles that mark an app root, relative to it: every candidate path of
+ * each fix's first target (the workbench, wherever the build keeps it).
+ */
+const APP_ROOT_BUNDLES = [...new Set(fixes.flatMap(fix => fix.targets[0].paths))].map(p => path.join(...p.split('/')));
+
+/**
+ * Find the app root inside a candidate directory. Accepts the install dir
+ * (Windows/Linux), the .app bundle or its Contents dir (macOS), or the app
+ * root itself.
+ *
+ * @param {string} dir
+ * @returns {string | null}
+ */
+function appRootOf(dir) {
+    if (!dir) return null;
+    const candidates = [
+        path.join(dir, 'resources', 'app'),
+        path.join(dir, 'Resources', 'app'),
+        path.join(dir, 'Contents', 'Resources', 'app'),
+        dir,
+    ];
+    try {
+        return candidates.find(c => APP_ROOT_BUNDLES.some(b => fs.existsSync(path.join(c, b)))) || null;
+    } catch { return null; }
+}
+
+/**
+ * The install dir of an app root, the way appRootOf finds it again: the
+ * .app bundle on macOS (`Antigravity.app/Contents/Resources/app`), else the
+ * directory holding `resources/app`.
+ *
+ * @param {string} appRoot
+ * @returns {string}
+ */
+function installDirOf(appRoot) {
+    const resources = path.dirname(appRoot);
+    const parent = path.dirname(resources);
+    return path.basename(resources) === 'Resources' && path.basename(parent) === 'Contents' ? path.dirname(parent) : parent;
+}
+
+/**
+ * Validates that a candidate directory is a real Antigravity installation
+ * by checking for the workbench bundle.
+ */
+function isAntigravityDir(dir) {
+    return appRootOf(dir) !== null;
+}
+
+/**
+ * Checks if a directory looks like the Antigravity installation root
+ * (contains Antigravity.exe or antigravity binary).
+ */
+function looksLikeAntigravityRoot(dir) {
+    if (!dir) return false;
+    try {
+        const exes = process.platform === 'win32' ? ['Antigravity.exe']
+            : process.platform === 'darwin' ? [path.join('Contents', 'MacOS', 'Antigravity'), path.join('MacOS', 'Antigravity')]
+            : ['antigravity'];
+        return exes.some(exe => fs.existsSync(path.join(dir, exe)));
+    } catch { return false; }
+}
+
+/**
+ * Antigravity installation paths from the Windows Registry (per-user and
+ * system-wide). InnoSetup writes uninstall info to HKCU or HKLM.
+ *
+ * @returns {string[]}
+ */
+function findFromRegistry() {
+    if (process.platform !== 'win32') return [];
+    const found = [];
+    try {
+        const { execSync } = require('child_process');
+        // InnoSetup typically writes to this key; try HKCU first, then HKLM
+        const regPaths = [
+            'HKCU\\Software\\Microsoft\\Windows\\CurrentVersion\\Uninstall\\Antigravity_is1',
+            'HKLM\\Software\\Microsoft\\Windows\\CurrentVersion\\Uninstall\\Antigravity_is1',
+            'HKLM\\Software\\WOW6432Node\\Microsoft\\Windows\\CurrentVersion\\Uninstall\\Antigravity_is1',
+        ];
+        for (const regPath of regPaths) {
+            try {
+                const output = execSync(
+                    `reg query "${regPath}" /v InstallLocation`,
+                    { encoding: 'utf8', timeout: 3000, stdio: ['pipe', 'pipe', 'pipe'] }
+                );
+                const match = output.match(/InstallLocation\s+REG_SZ\s+(.+)/i);
+                if (match) {
+                    const dir = match[1].trim().replace(/\\$/, '');
+                    if (isAntigravityDir(dir)) found.push(dir);
+                }
+            } catch { /* key not found, try next */ }
+        }
+    } catch { /* child_process failed */ }
+    return found;
+}
+
+/**
+ * Antigravity installations whose executable is on PATH. On Linux/macOS the
+ * PATH entry is usually a symlink (/usr/bin/antigravity), so the link
+ * target is checked as well.
+ *
+ * @returns {string[]}
+ */
+function findFromPath() {
+    const found = [];
+    try {
+        const pathDirs = (process.env.PATH || '').split(path.delimiter);
+        const exe = process.platform === 'win32' ? 'Antigravity.exe' : 'antigravity';
+        for (const dir of pathDirs) {
+            if (!dir) continue;
+            const exePath = path.join(dir, exe);
+            if (!fs.existsSync(exePath)) continue;
+
+            let realDir = dir;
+            try { realDir = path.dirname(fs.realpathSync(exePath)); } catch { /* keep dir */ }
+
+            // The exe could be in the root or in a bin/ subdirectory
+            for (const d of new Set([dir, realDir])) {
+                if (isAntigravityDir(d)) {
+                    found.push(d);
+                    break;
+                }
+                const parent = path.dirname(d);
+                if (isAntigravityDir(parent)) {
+                    found.push(parent);
+                    break;
+                }
+            }
+        }
+    } catch { /* PATH parsing failed */ }
+    return found;
+}
+
+/**
+ * Well-known install locations for the current platform.
+ */
+function defaultLocations() {
+    if (process.platform === 'win32') {
+        return [
+            path.join(process.env.LOCALAPPDATA || '', 'Programs', 'Antigravity'),
+            path.join(process.env.PROGRAMFILES || '', 'Antigravity'),
+        ];
+    }
+    if (process.platform === 'darwin') {
+        return [
+            '/Applications/Antigravity.app',
+            path.join(os.homedir(), 'Applications', 'Antigravity.app'),
+        ];
+    }
+    return [
+        '/usr/share/antigravity',
+        '/opt/antigravity',
+        path.join(os.homedir(), '.local', 'share', 'antigravity'),
+    ];
+}
+
+/**
+ * Antigravity installations in search order: CWD ancestors, PATH, the
+ * Windows registry, then well-known locations. Lazy, so the first match
+ * doesn't pay for the rest of the search.
+ *
+ * @returns {Generator<{ installDir: string, source: string }>}
+ */
+function* searchAntigravity() {
+    // 1. Check CWD and its ancestors (user may run from install dir or a subdir)
+    let dir = process.cwd();
+    const root = path.parse(dir).root;
+    while (dir && dir !== root) {
+        if (looksLikeAntigravityRoot(dir) && isAntigravityDir(dir)) yield { installDir: dir, source: 'cwd' };
+        dir = path.dirname(dir);
+    }
+
+    // 2. Check PATH
+    for (const d of findFromPath()) yield { installDir: d, source: 'path' };
+
+    // 3. Check Windows Registry (InnoSetup uninstall keys)
+    for (const d of findFromRegistry()) yield { installDir: d, source: 'registry' };
+
+    // 4. Hardcoded well-known locations
+    for (const c of defaultLocations()) {
+        if (isAntigravityDir(c)) yield { installDir: c, source: 'default' };
+    }
+}
+
+/**
+ * The first Antigravity installation found.
+ *
+ * @returns {{ installDir: string, source: string } | null}
+ */
+function findAntigravity() {
+    for (const found of searchAntigravity()) return found;
+    return null;
+}
+
+/**
+ * @returns {string | null} install dir
+ */
+function findAntigravityPath() {
+    const found = findAntigravity();
+    return found ? found.installDir : null;
+}
+
+/**
+ * Locate the installation to patch.
+ *
+ * - `explicitPath` (CLI --path, extension setting) wins and is never second-guessed:
+ *   if it is not an installation, the result is null.
+ * - `appRoot` is the app root of the running IDE (vscode.env.appRoot), used
+ *   before searching the disk.
+ *
+ * @param {{ explicitPath?: string, appRoot?: string }} [options]
+ * @returns {{ installDir: string, appRoot: string, source: string } | null}
+ */
+function locate(options = {}) {
+    if (options.explicitPath) {
+        const appRoot = appRootOf(options.explicitPath);
+        return appRoot ? { installDir: options.explicitPath, appRoot, source: 'explicit' } : null;
+    }
+
+    if (options.appRoot && appRootOf(options.appRoot) === options.appRoot) {
+        return { installDir: installDirOf(options.appRoot), appRoot: options.appRoot, source: 'running' };
+    }
+
+    const found = findAntigravity();
+    if (!found) return null;
+    return { ...found, appRoot: /** @type {string} */ (appRootOf(found.installDir)) };
+}
+
+/**
+ * Every installation on this machine (per-user, system-wide, portable
+ * copies on PATH or under the CWD), plus `extraPaths` (CLI --path), each
+ * once. Installations reached through symlinks count once.
+ *
+ * @param {{ extraPaths?: string[] }} [options]
+ * @returns {Array<{ installDir: string, appRoot: string, source: string }>}
+ */
+function locateAll(options = {}) {
+    const installs = [];
+    const seen = new Set();
+    const add = (installDir, source) => {
+        const appRoot = appRootOf(installDir);
+        if (!appRoot) return;
+        let key = appRoot;
+        try { key = fs.realpathSync(appRoot); } catch { /* keep the path */ }
+        if (seen.has(key)) return;
+        seen.add(key);
+        installs.push({ installDir, appRoot, source });
+    };
+
+    for (const p of options.extraPaths || []) add(p, 'explicit');
+    for (const found of searchAntigravity()) add(found.installDir, found.source);
+    return installs;
+}
+
+/**
+ * Read the Antigravity version from an app root (resources/app).
+ *
+ * @param {string} appRoot
+ * @returns {string} e.g. "1.107.0 (IDE 1.19.5)", or "unknown"
+ */
+function getVersion(appRoot) {
+    try {
+        const pkg = JSON.parse(fs.readFileSync(path.join(appRoot, 'package.json'), 'utf8'));
+        const product = JSON.parse(fs.readFileSync(path.join(appRoot, 'product.json'), 'utf8'));
+        return `${pkg.version} (IDE ${product.ideVersion})`;
+    } catch { return 'unknown'; }
+}
+
+module.exports = {
+    appRootOf,
+    isAntigravityDir,
+    findAntigravityPath,
+    locate,
+    locateAll,
+    getVersion,
+};
@@ -0,0 +1,23 @@
+/**
+ * Type declarations for the patch preview (lib/preview.js).
+ */
+
+import { FixDefinition, FixSettings } from '../fixes';
+import { Analysis } from './engine';
+import { Verification } from './verify';
+
+export interface PreviewResult {
+    fix: string;
+    label: string;
+    patched: boolean;
+    analysis?: Analysis;
+    /** Context-window unified diff, present when the analysis succeeded */
+    diff?: string;
+    /** Checks the patched bundle would have to pass before being written */
+    verification?: Verification;
+    error?: string;
+}
+
+export function describeAnalysis(analysis: Analysis): string[];
+export function formatDiff(content: string, analysis: Analysis, name: string, context?: number): string;
+export function previewFile(fix: FixDefinition, filePath: string, label: string, options?: { context?: number; settings?: FixSettings }): Promise<PreviewResult>;
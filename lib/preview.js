@@ -0,0 +1,106 @@
+/**
+ * Patch preview — shows what a fix would change without writing anything.
+ *
+ * Bundles are minified onto a handful of very long lines, so a plain line
+ * diff is useless. Instead we cut a character window around the insertion
+ * point and render it as a unified diff of that window.
+ */
+
+'use strict';
+
+const fsp = require('fs/promises');
+const engine = require('./engine');
+const { buildIndex } = require('./scanner');
+const { verifyPatch } = require('./verify');
+
+/** Characters of unchanged code shown on each side of the insertion. */
+const DEFAULT_CONTEXT = 120;
+
+/**
+ * Human-readable lines for the successful steps of an analysis:
+ * the anchor offset first, then the extracted aliases.
+ *
+ * @param {import('./engine').Analysis} analysis
+ * @returns {string[]}
+ */
+function describeAnalysis(analysis) {
+    const lines = [];
+    for (const s of analysis.steps) {
+        if (!s.ok && s.optional) continue;
+        if (!s.ok) break;
+        if (!s.vars && s.offset === undefined) continue;
+        const vars = Object.entries(s.vars || {}).map(([k, v]) => `${k}=${v}`).join(', ');
+        if (s.offset !== undefined) {
+            lines.push(`Found ${s.step} at offset ${s.offset}`);
+            if (vars) lines.push(vars);
+        } else {
+            lines.push(`${vars}${s.confidence !== undefined ? ` (confidence: ${s.confidence} hits)` : ''}`);
+        }
+    }
+    return lines;
+}
+
+/**
+ * Render a context-window unified diff of the injection.
+ *
+ * @param {string} content - original bundle
+ * @param {import('./engine').Analysis} analysis - a successful analysis
+ * @param {string} name - file name shown in the diff header
+ * @param {number} [context]
+ * @returns {string}
+ */
+function formatDiff(content, analysis, name, context = DEFAULT_CONTEXT) {
+    const { insertAt, snippet } = analysis;
+
+    // Stay on the line being patched
+    const lineStart = content.lastIndexOf('\n', insertAt - 1) + 1;
+    let lineEnd = content.indexOf('\n', insertAt);
+    if (lineEnd === -1) lineEnd = content.length;
+
+    const start = Math.max(lineStart, insertAt - context);
+    const end = Math.min(lineEnd, insertAt + context);
+    const before = (start > lineStart ? '…' : '') + content.substring(start, insertAt);
+    const after = content.substring(insertAt, end) + (end < lineEnd ? '…' : '');
+
+    let line = 1;
+    for (let i = content.indexOf('\n'); i !== -1 && i < insertAt; i = content.indexOf('\n', i + 1)) line++;
+
+    return [
+        `--- a/${name}`,
+        `+++ b/${name}`,
+        `@@ -${line},1 +${line},1 @@ offset ${insertAt}`,
+        `-${before}${after}`,
+        `+${before}${snippet}${after}`,
+    ].join('\n');
+}
+
+/**
+ * Analyze a bundle and build its preview, including the checks the patch
+ * must pass before it would be written. Never writes.
+ *
+ * @param {import('../fixes').FixDefinition} fix
+ * @param {string} filePath
+ * @param {string} label
+ * @param {{ context?: number, settings?: import('../fixes').FixSettings }} [options]
+ */
+async function previewFile(fix, filePath, label, options = {}) {
+    const base = { fix: fix.id, label };
+    try {
+        const content = await fsp.readFile(filePath, 'utf8');
+        const index = buildIndex(content);
+        if (engine.isPatched(fix, content, index)) {
+            return { ...base, patched: true };
+        }
+        const analysis = engine.analyze(fix, content, { index, settings: options.settings });
+        if (!analysis.ok) return { ...base, patched: false, analysis };
+
+        const diff = formatDiff(content, analysis, label, options.context);
+        const patched = content.substring(0, analysis.insertAt) + analysis.snippet + content.substring(analysis.insertAt);
+        const verification = verifyPatch(content, patched, analysis);
+        return { ...base, patched: false, analysis, diff, verification };
+    } catch (err) {
+        return { ...base, patched: false, error: err.message };
+    }
+}
+
+module.exports = { describeAnalysis, formatDiff, previewFile };
@@ -0,0 +1,57 @@
+/**
+ * Type declarations for the issue report (lib/report.js).
+ */
+
+export interface PartialMatch {
+    /** Longest leading part of the pattern that matches near the anchor ('' if none) */
+    matched: string;
+    /** The rest of the pattern, which doesn't match */
+    failedAt: string;
+    /** What `matched` matched, whitespace-normalized and truncated */
+    text: string;
+}
+
+export interface ReportStep {
+    step: string;
+    description: string;
+    status: 'ok' | 'failed' | 'missing' | 'skipped';
+    /** Pattern source, for steps that didn't match */
+    pattern?: string;
+    /** Variables the pattern needs that no earlier step produced */
+    needs?: string[];
+    partial?: PartialMatch;
+}
+
+export interface ReportTarget {
+    label: string;
+    /** Relative to the app root */
+    path: string;
+    exists: boolean;
+    size?: number;
+    sha256?: string;
+    patched?: boolean;
+    compatible: boolean;
+    error?: string;
+    /** Incompatible bundles only */
+    steps?: ReportStep[];
+    /** Incompatible bundles only: excerpts around the fix's tokens */
+    anchors?: Array<{ token: string; count: number; excerpts: string[] }>;
+}
+
+export interface IssueReport {
+    generatedAt: string;
+    tool: string;
+    platform: string;
+    version: string;
+    /** Build identification from product.json */
+    product: { ideVersion?: string; version?: string; commit?: string; date?: string };
+    compatible: boolean;
+    fixes: Array<{ id: string; compatible: boolean; targets: ReportTarget[] }>;
+}
+
+export function patternPieces(source: string): string[];
+export function partialMatch(pattern: RegExp, haystack: string): PartialMatch;
+export function buildIssueReport(install: { appRoot: string }): Promise<IssueReport>;
+export function renderIssueReport(report: IssueReport): string;
+export function issueReportFileName(report: IssueReport): string;
+export function writeIssueReport(report: IssueReport, file: string): void;
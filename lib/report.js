@@ -0,0 +1,359 @@
+/**
+ * Issue report — how an unsupported build differs from what the signatures
+ * expect.
+ *
+ * The doctor says *that* a step failed; this says *where*. For every target
+ * bundle it finds the nearest anchors (the fix's literal tokens), takes a
+ * short whitespace-normalized excerpt around each, and for every failing
+ * step shows the longest leading part of its pattern that still matches
+ * there and the piece that doesn't. The result is a small Markdown file to
+ * attach to a GitHub issue.
+ *
+ * It never contains a bundle: only bounded excerpts, paths relative to the
+ * app root, and the IDE version from product.json.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { fixes } = require('../fixes');
+const engine = require('./engine');
+const { sha256 } = require('./backup');
+const { getVersion } = require('./install');
+const pkg = require('../package.json');
+
+/** Characters kept on each side of an anchor (before normalization). */
+const EXCERPT_RADIUS = 300;
+
+/** Excerpts per token; further occurrences are only counted. */
+const MAX_OCCURRENCES = 3;
+
+/** Where a step's pattern is tried when the anchor itself wasn't found. */
+const SEARCH_RADIUS = 2000;
+
+/** Longest matched text shown for a partial match. */
+const MAX_MATCH = 200;
+
+// ─── Excerpts ───────────────────────────────────────────────────────────────
+
+function normalize(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Whitespace-normalized text around `offset`, with `…` where it was cut.
+ *
+ * @param {string} content
+ * @param {number} offset
+ * @param {number} length - length of the anchor at `offset`
+ */
+function excerptAround(content, offset, length) {
+    const start = Math.max(0, offset - EXCERPT_RADIUS);
+    const end = Math.min(content.length, offset + length + EXCERPT_RADIUS);
+    return `${start > 0 ? '…' : ''}${normalize(content.substring(start, end))}${end < content.length ? '…' : ''}`;
+}
+
+/**
+ * Offsets of a literal token, the first MAX_OCCURRENCES of them, and the total.
+ */
+function occurrences(content, token) {
+    const offsets = [];
+    let count = 0;
+    for (let i = content.indexOf(token); i !== -1; i = content.indexOf(token, i + token.length)) {
+        if (offsets.length < MAX_OCCURRENCES) offsets.push(i);
+        count++;
+    }
+    return { offsets, count };
+}
+
+// ─── Partial Matches ────────────────────────────────────────────────────────
+
+/**
+ * Split a regex source into top-level pieces (an atom with its quantifier),
+ * so that every prefix of pieces is itself a regex. A top-level alternation
+ * can't be split and comes back as one piece.
+ *
+ * @param {string} source
+ * @returns {string[]}
+ */
+function patternPieces(source) {
+    const pieces = [];
+    let i = 0;
+    while (i < source.length) {
+        const start = i;
+        const c = source[i];
+        if (c === '|') return [source];
+        if (c === '\\') {
+            i += 2;
+        } else if (c === '[') {
+            i++;
+            while (i < source.length && source[i] !== ']') i += source[i] === '\\' ? 2 : 1;
+            i++;
+        } else if (c === '(') {
+            let depth = 0;
+            while (i < source.length) {
+                if (source[i] === '\\') { i += 2; continue; }
+                if (source[i] === '[') {
+                    while (i < source.length && source[i] !== ']') i += source[i] === '\\' ? 2 : 1;
+                } else if (source[i] === '(') {
+                    depth++;
+                } else if (source[i] === ')' && --depth === 0) {
+                    i++;
+                    break;
+                }
+                i++;
+            }
+        } else {
+            i++;
+        }
+        // Quantifier, possibly lazy
+        const q = /^(?:[*+?]|\{\d+(?:,\d*)?\})\??/.exec(source.substring(i));
+        if (q) i += q[0].length;
+        pieces.push(source.substring(start, i));
+    }
+    return pieces;
+}
+
+/**
+ * The longest leading part of `pattern` that matches somewhere in
+ * `haystack`, the rest of the pattern, and the text it matched.
+ *
+ * @param {RegExp} pattern
+ * @param {string} haystack
+ * @returns {import('./report').PartialMatch}
+ */
+function partialMatch(pattern, haystack) {
+    const pieces = patternPieces(pattern.source);
+    const flags = pattern.flags.replace(/[gy]/g, '');
+    let best = { matched: '', failedAt: pattern.source, text: '' };
+    for (let n = 1; n <= pieces.length; n++) {
+        let m;
+        try {
+            m = new RegExp(pieces.slice(0, n).join(''), flags).exec(haystack);
+        } catch {
+            continue; // e.g. a backreference to a group not in the prefix yet
+        }
+        if (!m) continue;
+        const text = normalize(m[0]);
+        best = {
+            matched: pieces.slice(0, n).join(''),
+            failedAt: pieces.slice(n).join(''),
+            text: text.length > MAX_MATCH ? `${text.substring(0, MAX_MATCH)}…` : text,
+        };
+    }
+    return best;
+}
+
+/**
+ * A step's pattern with the variables found so far. Patterns that need a
+ * variable no earlier step produced come back with the names of those.
+ */
+function resolvePattern(sig, vars) {
+    if (typeof sig.pattern !== 'function') return { pattern: sig.pattern };
+    const missing = [];
+    const tracked = new Proxy(vars, {
+        get(target, name) {
+            if (typeof name === 'string' && !(name in target)) missing.push(name);
+            return target[name];
+        },
+    });
+    const pattern = sig.pattern(tracked);
+    return missing.length ? { needs: missing } : { pattern };
+}
+
+// ─── Report ─────────────────────────────────────────────────────────────────
+
+/**
+ * Failing signature steps, each with where its pattern stops matching.
+ */
+function diagnoseSteps(fix, content, analysis) {
+    const anchorSig = fix.signatures.find(s => s.kind === 'anchor');
+    const anchorStep = analysis.steps.find(s => s.step === anchorSig.step);
+    // Steps are searched around the anchor, or around its token when the anchor is gone
+    const scope = anchorStep && anchorStep.ok ? anchorStep.offset : content.indexOf(anchorSig.token);
+
+    return analysis.steps.map(step => {
+        const sig = fix.signatures.find(s => s.step === step.step);
+        const status = step.ok ? 'ok' : step.skipped ? 'skipped' : step.optional ? 'missing' : 'failed';
+        const result = { step: step.step, description: step.description, status };
+        if (step.ok || !sig || sig.kind === 'frequency') return result;
+
+        const { pattern, needs } = resolvePattern(sig, analysis.vars);
+        if (!pattern) return { ...result, needs };
+        result.pattern = pattern.source;
+        if (scope === -1) return result;
+
+        const window = sig.kind === 'anchor' || !sig.window ? [-SEARCH_RADIUS, SEARCH_RADIUS] : sig.window;
+        const haystack = content.substring(Math.max(0, scope + window[0]), Math.min(content.length, scope + window[1]));
+        return { ...result, partial: partialMatch(pattern, haystack) };
+    });
+}
+
+async function reportTarget(fix, target, appRoot) {
+    const result = {
+        label: target.label,
+        path: path.relative(appRoot, target.path).split(path.sep).join('/'),
+        exists: target.exists,
+    };
+    if (!target.exists) return { ...result, compatible: false, error: 'File not found' };
+
+    try {
+        const buf = await fsp.readFile(target.path);
+        const content = buf.toString('utf8');
+        const analysis = engine.analyze(fix, content, { all: true });
+        const patched = engine.isPatched(fix, content);
+        const compatible = analysis.ok || patched;
+
+        const report = { ...result, size: buf.length, sha256: sha256(buf), patched, compatible };
+        if (compatible) return report;
+
+        report.error = analysis.error;
+        report.steps = diagnoseSteps(fix, content, analysis);
+        report.anchors = (fix.tokens || []).map(token => {
+            const { offsets, count } = occurrences(content, token);
+            return { token, count, excerpts: offsets.map(o => excerptAround(content, o, token.length)) };
+        });
+        return report;
+    } catch (err) {
+        return { ...result, compatible: false, error: err.message };
+    }
+}
+
+/**
+ * IDE fields of product.json that identify a build.
+ */
+function readProduct(appRoot) {
+    try {
+        const product = JSON.parse(fs.readFileSync(path.join(appRoot, 'product.json'), 'utf8'));
+        return { ideVersion: product.ideVersion, version: product.version, commit: product.commit, date: product.date };
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Build the issue report for an installation.
+ *
+ * @param {{ appRoot: string }} install
+ * @returns {Promise<import('./report').IssueReport>}
+ */
+async function buildIssueReport(install) {
+    const report = {
+        generatedAt: new Date().toISOString(),
+        tool: `${pkg.name}@${pkg.version}`,
+        platform: `${process.platform}-${process.arch}`,
+        version: getVersion(install.appRoot),
+        product: readProduct(install.appRoot),
+        compatible: true,
+        fixes: [],
+    };
+    for (const fix of fixes) {
+        const targets = [];
+        for (const t of engine.resolveTargets(fix, install.appRoot)) {
+            targets.push(await reportTarget(fix, t, install.appRoot));
+        }
+        // Bundles this build doesn't have are skipped when patching
+        const found = targets.filter(t => t.exists);
+        const compatible = found.length > 0 && found.every(t => t.compatible);
+        report.fixes.push({ id: fix.id, compatible, targets });
+        report.compatible = report.compatible && compatible;
+    }
+    return report;
+}
+
+// ─── Rendering ──────────────────────────────────────────────────────────────
+
+function code(text) {
+    const ticks = '`'.repeat(Math.max(1, ...(text.match(/`+/g) || []).map(t => t.length + 1)));
+    return ticks.length > 1 || text.startsWith('`') || text.endsWith('`') ? `${ticks} ${text} ${ticks}` : `\`${text}\``;
+}
+
+function block(text) {
+    const ticks = '`'.repeat(Math.max(3, ...(text.match(/`+/g) || []).map(t => t.length + 1)));
+    return `${ticks}js\n${text}\n${ticks}`;
+}
+
+const STATUS_ICONS = { ok: '✔', failed: '✘', missing: '·', skipped: '·' };
+
+function stepMarkdown(s) {
+    const lines = [`- ${STATUS_ICONS[s.status]} **${s.description}** (\`${s.step}\`): ${s.status}`];
+    if (s.needs) lines.push(`  - Needs ${s.needs.join(', ')} from an earlier step`);
+    if (s.pattern) lines.push(`  - Pattern: ${code(s.pattern)}`);
+    if (s.partial && !s.partial.failedAt) {
+        lines.push(`  - Matches when run on its own: ${code(s.partial.text)}`);
+    } else if (s.partial) {
+        if (s.partial.matched) {
+            lines.push(`  - Matches up to: ${code(s.partial.matched)}`);
+            lines.push(`  - Matched text: ${code(s.partial.text)}`);
+        } else {
+            lines.push('  - No part of the pattern matches near the anchor');
+        }
+        lines.push(`  - Does not match from: ${code(s.partial.failedAt)}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * The report as Markdown, ready to paste into or attach to an issue.
+ *
+ * @param {import('./report').IssueReport} report
+ */
+function renderIssueReport(report) {
+    const lines = [
+        '# Better Antigravity signature report',
+        '',
+        `- Antigravity: ${report.version}`,
+        ...Object.entries(report.product).filter(([, v]) => v).map(([k, v]) => `- product.json ${k}: ${v}`),
+        `- Tool: ${report.tool}`,
+        `- Platform: ${report.platform}`,
+        `- Generated: ${report.generatedAt}`,
+        '',
+    ];
+
+    for (const fix of report.fixes) {
+        lines.push(`## ${fix.id}: ${fix.compatible ? 'compatible' : 'incompatible'}`, '');
+        for (const t of fix.targets) {
+            const state = !t.exists ? 'not found' : t.patched ? 'patched' : t.compatible ? 'compatible' : 'incompatible';
+            lines.push(`### [${t.label}] ${code(t.path)}: ${state}`, '');
+            if (t.size !== undefined) lines.push(`Size ${t.size} bytes, SHA-256 \`${t.sha256}\``, '');
+            if (t.error) lines.push(`Error: ${t.error}`, '');
+            if (t.steps) lines.push(...t.steps.map(stepMarkdown), '');
+            for (const a of t.anchors || []) {
+                lines.push(`#### ${code(a.token)}: ${a.count} occurrence(s)`, '');
+                if (a.count > a.excerpts.length) lines.push(`First ${a.excerpts.length} shown.`, '');
+                for (const e of a.excerpts) lines.push(block(e), '');
+            }
+        }
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Default file name, e.g. `ba-report-1.107.0-IDE-1.19.5.md`.
+ *
+ * @param {import('./report').IssueReport} report
+ */
+function issueReportFileName(report) {
+    const version = report.version.replace(/[^\w.]+/g, '-').replace(/^-|-$/g, '');
+    return `ba-report-${version}.md`;
+}
+
+/**
+ * @param {import('./report').IssueReport} report
+ * @param {string} file
+ */
+function writeIssueReport(report, file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, renderIssueReport(report), 'utf8');
+}
+
+module.exports = {
+    patternPieces,
+    partialMatch,
+    buildIssueReport,
+    renderIssueReport,
+    issueReportFileName,
+    writeIssueReport,
+};
@@ -0,0 +1,39 @@
+/**
+ * Type declarations for the bundle scanner (lib/scanner.js).
+ */
+
+import { FixDefinition } from '../fixes';
+import { Analysis } from './engine';
+
+/** Occurrences of each indexed token; `offsets` is capped, `count` is exact. */
+export type TokenIndex = Record<string, { count: number; offsets: number[] }>;
+
+export interface ScanEntry {
+    size: number;
+    mtimeMs: number;
+    sha256: string;
+    index: TokenIndex;
+    /** Patch state per fix id */
+    patched: Record<string, boolean>;
+    /** Cached analyses per fix id (unpatched bundles only) */
+    analyses: Record<string, Analysis>;
+    /** Values other modules computed from the content, by name (see derive) */
+    derived?: Record<string, unknown>;
+}
+
+export interface ScanResult {
+    entry: ScanEntry;
+    /** Only present when the file had to be read */
+    buffer?: Buffer;
+    content?: string;
+}
+
+export function tokensFor(fix: FixDefinition): string[];
+export function buildIndex(content: string, tokens?: string[]): TokenIndex;
+export function offsetsOf(index: TokenIndex | undefined, token: string): number[] | null;
+export function isPatched(fix: FixDefinition, content: string, index?: TokenIndex): boolean;
+export function scanFile(filePath: string): Promise<ScanResult>;
+export function rememberFile(filePath: string, content: string): Promise<void>;
+export function forgetFile(filePath: string): Promise<void>;
+export function saveAnalysis(filePath: string, fixId: string, analysis: Analysis): Promise<void>;
+export function derive<T>(filePath: string, name: string, compute: (content: string) => T): Promise<T>;
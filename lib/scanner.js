@@ -0,0 +1,296 @@
+/**
+ * Bundle scanner — one pass over a bundle, cached across runs.
+ *
+ * Finds every literal token any registered fix cares about (anchor tokens,
+ * patch markers, legacy markers) with a single regex pass, instead of each
+ * fix running its own whole-file regexes. Signature steps then only look
+ * near the indexed offsets.
+ *
+ * Results (token index, patch state per fix, analyses) are cached in the
+ * state directory, keyed by file size + mtime, with the SHA-256 as fallback
+ * when only the mtime changed. Unchanged bundles are never re-read on
+ * startup or for status checks, by either tool.
+ */
+
+'use strict';
+
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { fixes } = require('../fixes');
+const { getStateDir } = require('./state');
+
+/** Offsets kept per token; `count` is always exact. */
+const MAX_OFFSETS = 64;
+
+const CACHE_FILE = 'scan-cache.json';
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function escapeRegExp(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// ─── Index ──────────────────────────────────────────────────────────────────
+
+/**
+ * Every literal token a fix needs indexed.
+ *
+ * @param {import('../fixes').FixDefinition} fix
+ * @returns {string[]}
+ */
+function tokensFor(fix) {
+    const tokens = [fix.marker, ...(fix.tokens || [])];
+    for (const m of fix.legacyMarkers || []) tokens.push(m.token);
+    for (const sig of fix.signatures) if (sig.kind === 'anchor' && sig.token) tokens.push(sig.token);
+    return tokens;
+}
+
+/** Tokens of all registered fixes. */
+const ALL_TOKENS = [...new Set(fixes.flatMap(tokensFor))];
+
+/**
+ * Cache is invalid as soon as any fix definition changes.
+ */
+const CACHE_VERSION = sha256(JSON.stringify(fixes, (k, v) =>
+    typeof v === 'function' || v instanceof RegExp ? String(v) : v));
+
+/**
+ * Find all occurrences of all tokens in one pass.
+ *
+ * @param {string} content
+ * @param {string[]} [tokens]
+ * @returns {Record<string, { count: number, offsets: number[] }>}
+ */
+function buildIndex(content, tokens = ALL_TOKENS) {
+    const index = {};
+    for (const t of tokens) index[t] = { count: 0, offsets: [] };
+    if (tokens.length === 0) return index;
+
+    const re = new RegExp(tokens.map(escapeRegExp).join('|'), 'g');
+    let m;
+    while ((m = re.exec(content)) !== null) {
+        // Tokens may share a start offset; the alternation only reports one
+        for (const t of tokens) {
+            if (!content.startsWith(t, m.index)) continue;
+            const entry = index[t];
+            entry.count++;
+            if (entry.offsets.length < MAX_OFFSETS) entry.offsets.push(m.index);
+        }
+        re.lastIndex = m.index + 1;
+    }
+    return index;
+}
+
+/**
+ * Offsets of a token, or null when the index can't answer (token not
+ * indexed, or more occurrences than we kept).
+ *
+ * @param {ReturnType<typeof buildIndex> | undefined} index
+ * @param {string} token
+ * @returns {number[] | null}
+ */
+function offsetsOf(index, token) {
+    const entry = index && index[token];
+    if (!entry || entry.count > entry.offsets.length) return null;
+    return entry.offsets;
+}
+
+/**
+ * Check whether a bundle already carries a fix (current or legacy marker).
+ *
+ * @param {import('../fixes').FixDefinition} fix
+ * @param {string} content
+ * @param {ReturnType<typeof buildIndex>} [index]
+ */
+function isPatched(fix, content, index) {
+    const markers = offsetsOf(index, fix.marker);
+    if (markers ? markers.length > 0 : content.includes(fix.marker)) return true;
+
+    return (fix.legacyMarkers || []).some(({ token, pattern }) => {
+        const offsets = offsetsOf(index, token);
+        if (!offsets) return pattern.test(content);
+        return offsets.some(o => content.substring(o, o + 512).search(pattern) === 0);
+    });
+}
+
+// ─── Cache ──────────────────────────────────────────────────────────────────
+
+/** @type {{ version: string, files: Record<string, any> } | null} */
+let cache = null;
+
+function cachePath() {
+    return path.join(getStateDir(), CACHE_FILE);
+}
+
+async function loadCache() {
+    if (cache) return cache;
+    try {
+        const data = JSON.parse(await fsp.readFile(cachePath(), 'utf8'));
+        if (data.version === CACHE_VERSION) cache = data;
+    } catch { /* missing or corrupt: start fresh */ }
+    if (!cache) cache = { version: CACHE_VERSION, files: {} };
+    return cache;
+}
+
+/** Files whose entry this process changed or dropped and hasn't written yet. */
+const pending = new Set();
+
+/**
+ * Write the cache after the entry of `key` changed.
+ *
+ * The file is re-read first and only this process's changes are laid over
+ * it, so the CLI and the extension (or two windows) saving at the same time
+ * don't drop each other's entries.
+ *
+ * @param {string} key - resolved path of the file whose entry changed
+ */
+async function saveCache(key) {
+    if (!cache) return;
+    pending.add(key);
+    try {
+        const file = cachePath();
+        let onDisk = null;
+        try {
+            const data = JSON.parse(await fsp.readFile(file, 'utf8'));
+            if (data.version === CACHE_VERSION) onDisk = data.files;
+        } catch { /* missing or corrupt: ours is all there is */ }
+
+        const written = [...pending];
+        if (onDisk) {
+            for (const k of written) {
+                if (cache.files[k]) onDisk[k] = cache.files[k];
+                else delete onDisk[k];
+            }
+            cache.files = onDisk;
+        }
+
+        await fsp.mkdir(path.dirname(file), { recursive: true });
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fsp.writeFile(tmp, JSON.stringify(cache), 'utf8');
+        await fsp.rename(tmp, file);
+        for (const k of written) pending.delete(k);
+    } catch { /* the cache is an optimization only */ }
+}
+
+function newEntry(content, size, mtimeMs, hash) {
+    const index = buildIndex(content);
+    const patched = {};
+    for (const fix of fixes) patched[fix.id] = isPatched(fix, content, index);
+    return { size, mtimeMs, sha256: hash, index, patched, analyses: {} };
+}
+
+/**
+ * Scan a bundle, or return the cached scan if it hasn't changed.
+ *
+ * `buffer` and `content` are only present when the file had to be read.
+ *
+ * @param {string} filePath
+ */
+async function scanFile(filePath) {
+    const key = path.resolve(filePath);
+    const { files } = await loadCache();
+    const st = await fsp.stat(key);
+    const cached = files[key];
+
+    if (cached && cached.size === st.size && cached.mtimeMs === st.mtimeMs) {
+        return { entry: cached };
+    }
+
+    const buffer = await fsp.readFile(key);
+    const content = buffer.toString('utf8');
+    const hash = sha256(buffer);
+    if (cached && cached.sha256 === hash) {
+        cached.mtimeMs = st.mtimeMs;
+        await saveCache(key);
+        return { entry: cached, buffer, content };
+    }
+
+    const entry = newEntry(content, st.size, st.mtimeMs, hash);
+    files[key] = entry;
+    await saveCache(key);
+    return { entry, buffer, content };
+}
+
+/**
+ * Record the scan of content we just wrote, so the next check is a cache hit.
+ *
+ * @param {string} filePath
+ * @param {string} content
+ */
+async function rememberFile(filePath, content) {
+    const key = path.resolve(filePath);
+    const { files } = await loadCache();
+    try {
+        const st = await fsp.stat(key);
+        files[key] = newEntry(content, st.size, st.mtimeMs, sha256(content));
+    } catch {
+        delete files[key];
+    }
+    await saveCache(key);
+}
+
+/**
+ * Drop a file from the cache, e.g. after restoring it from a backup.
+ *
+ * @param {string} filePath
+ */
+async function forgetFile(filePath) {
+    const key = path.resolve(filePath);
+    const { files } = await loadCache();
+    delete files[key];
+    await saveCache(key);
+}
+
+/**
+ * Store an analysis with the cached scan of a file.
+ *
+ * @param {string} filePath
+ * @param {string} fixId
+ * @param {object} analysis
+ */
+async function saveAnalysis(filePath, fixId, analysis) {
+    const key = path.resolve(filePath);
+    const entry = (await loadCache()).files[key];
+    if (!entry) return;
+    entry.analyses[fixId] = analysis;
+    await saveCache(key);
+}
+
+/**
+ * A value computed from a bundle's content, cached with its scan, so it's
+ * only computed again when the bundle changes.
+ *
+ * @template T
+ * @param {string} filePath
+ * @param {string} name - unique per kind of value, e.g. `policyNames`
+ * @param {(content: string) => T} compute
+ * @returns {Promise<T>}
+ */
+async function derive(filePath, name, compute) {
+    const key = path.resolve(filePath);
+    const scan = await scanFile(key);
+    if (scan.entry.derived && name in scan.entry.derived) return scan.entry.derived[name];
+
+    const value = compute(scan.content || await fsp.readFile(key, 'utf8'));
+    const entry = (await loadCache()).files[key];
+    if (entry && entry.sha256 === scan.entry.sha256) {
+        entry.derived = { ...entry.derived, [name]: value };
+        await saveCache(key);
+    }
+    return value;
+}
+
+module.exports = {
+    tokensFor,
+    buildIndex,
+    offsetsOf,
+    isPatched,
+    scanFile,
+    rememberFile,
+    forgetFile,
+    saveAnalysis,
+    derive,
+};
@@ -0,0 +1,13 @@
+/**
+ * Type declarations for the state database reader (lib/state-db.js).
+ */
+
+export interface StateDb {
+    exec(sql: string): Array<{ columns: string[]; values: any[][] }>;
+    close(): void;
+}
+
+export function getStateDbPath(userDataDir: string): string;
+export function openStateDb(file: string): Promise<StateDb>;
+export function readJsonItems(db: StateDb, keyPattern: RegExp): Array<{ key: string; value: any }>;
+export function findObjects(value: any, match: (obj: any) => boolean): Array<{ path: string; object: any }>;
@@ -0,0 +1,77 @@
+/**
+ * Antigravity's state database, read-only.
+ *
+ * `<user-data>/User/globalStorage/state.vscdb` is a SQLite file whose
+ * `ItemTable` holds values (mostly JSON) by key: conversations, agent
+ * settings, UI state. It is loaded into memory with sql.js and never written
+ * back, so reading it is safe while the IDE runs.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+
+/**
+ * @param {string} userDataDir
+ */
+function getStateDbPath(userDataDir) {
+    return path.join(userDataDir, 'User', 'globalStorage', 'state.vscdb');
+}
+
+/**
+ * Load the state database into memory (read-only: nothing is written back).
+ *
+ * @param {string} file
+ * @returns {Promise<import('./state-db').StateDb>}
+ */
+async function openStateDb(file) {
+    if (!fs.existsSync(file)) throw new Error(`State database not found: ${file}`);
+    const initSqlJs = require('sql.js');
+    const SQL = await initSqlJs();
+    return new SQL.Database(await fsp.readFile(file));
+}
+
+/**
+ * Rows of ItemTable whose key matches and whose value is JSON, parsed.
+ *
+ * @param {import('./state-db').StateDb} db
+ * @param {RegExp} keyPattern
+ * @returns {Array<{ key: string, value: any }>}
+ */
+function readJsonItems(db, keyPattern) {
+    const [table] = db.exec('SELECT key, value FROM ItemTable');
+    const items = [];
+    for (const [key, value] of table ? table.values : []) {
+        if (!keyPattern.test(key)) continue;
+        try {
+            items.push({ key, value: JSON.parse(typeof value === 'string' ? value : Buffer.from(value).toString('utf8')) });
+        } catch { /* not JSON */ }
+    }
+    return items;
+}
+
+/**
+ * Objects anywhere inside a JSON value that satisfy `match`, with their
+ * path (e.g. `sessions[2]`). Matching objects are not searched further.
+ *
+ * @param {any} value
+ * @param {(obj: object) => boolean} match
+ * @returns {Array<{ path: string, object: any }>}
+ */
+function findObjects(value, match, at = '', found = []) {
+    if (!value || typeof value !== 'object') return found;
+    if (Array.isArray(value)) {
+        value.forEach((v, i) => findObjects(v, match, `${at}[${i}]`, found));
+        return found;
+    }
+    if (match(value)) {
+        found.push({ path: at || '(root)', object: value });
+        return found;
+    }
+    for (const [k, v] of Object.entries(value)) findObjects(v, match, at ? `${at}.${k}` : k, found);
+    return found;
+}
+
+module.exports = { getStateDbPath, openStateDb, readJsonItems, findObjects };
@@ -0,0 +1,5 @@
+/**
+ * Type declarations for the shared state directory (lib/state.js).
+ */
+
+export function getStateDir(): string;
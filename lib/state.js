@@ -0,0 +1,20 @@
+/**
+ * Per-user state directory shared by the CLI and the extension
+ * (scan cache, and anything else both tools must agree on).
+ */
+
+'use strict';
+
+const os = require('os');
+const path = require('path');
+
+/**
+ * `$BETTER_ANTIGRAVITY_HOME`, or `~/.better-antigravity`.
+ *
+ * @returns {string}
+ */
+function getStateDir() {
+    return process.env.BETTER_ANTIGRAVITY_HOME || path.join(os.homedir(), '.better-antigravity');
+}
+
+module.exports = { getStateDir };
@@ -0,0 +1,16 @@
+/**
+ * Type declarations for chat title export files (lib/titles.js).
+ */
+
+export interface TitleExport {
+    format: 'better-antigravity-titles';
+    version: number;
+    exportedAt: string;
+    titles: Record<string, string>;
+}
+
+export const TITLE_EXPORT_FORMAT: 'better-antigravity-titles';
+
+export function createTitleExport(titles: Record<string, string>): TitleExport;
+export function parseTitleExport(text: string): Record<string, string>;
+export function readTitleExport(file: string): Record<string, string>;
@@ -0,0 +1,62 @@
+/**
+ * Chat title export files.
+ *
+ * The extension's "Export Chat Titles" writes the title proxy's map
+ * (conversation id -> title) in this format; the extension imports it
+ * again, and the CLI's `export --titles <file>` names conversations by it.
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+const TITLE_EXPORT_FORMAT = 'better-antigravity-titles';
+const TITLE_EXPORT_VERSION = 1;
+
+/**
+ * @param {Record<string, string>} titles
+ * @returns {import('./titles').TitleExport}
+ */
+function createTitleExport(titles) {
+    return {
+        format: TITLE_EXPORT_FORMAT,
+        version: TITLE_EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        titles,
+    };
+}
+
+/**
+ * Parse an exported title file. Also accepts a bare `{ id: title }` map.
+ * Throws with a readable message on anything else.
+ *
+ * @param {string} text
+ * @returns {Record<string, string>}
+ */
+function parseTitleExport(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Not a JSON file: ${err.message}`);
+    }
+
+    const map = data && data.format === TITLE_EXPORT_FORMAT ? data.titles : data;
+    if (!map || typeof map !== 'object' || Array.isArray(map)) {
+        throw new Error('Expected an object mapping conversation ids to titles');
+    }
+    for (const [id, title] of Object.entries(map)) {
+        if (typeof title !== 'string' || !title.trim()) throw new Error(`Title of "${id}" is not a non-empty string`);
+    }
+    return map;
+}
+
+/**
+ * @param {string} file
+ * @returns {Record<string, string>}
+ */
+function readTitleExport(file) {
+    return parseTitleExport(fs.readFileSync(file, 'utf8'));
+}
+
+module.exports = { TITLE_EXPORT_FORMAT, createTitleExport, parseTitleExport, readTitleExport };
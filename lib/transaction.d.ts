@@ -0,0 +1,16 @@
+/**
+ * Type declarations for patch transactions and the patch lock (lib/transaction.js).
+ */
+
+/** Lock file name, in the app root. */
+export const LOCK_FILE: string;
+
+export interface Transaction {
+    /** Save a bundle and its backups before they are first modified. */
+    snapshot(filePath: string): Promise<void>;
+    /** Restore every snapshotted file. */
+    rollback(): Promise<void>;
+}
+
+export function withLock<T>(appRoot: string, fn: () => Promise<T>): Promise<T>;
+export function createTransaction(): Transaction;
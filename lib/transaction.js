@@ -0,0 +1,152 @@
+/**
+ * Patch transactions and the install-wide patch lock.
+ *
+ * All target bundles of a fix are patched as one unit: every file (and its
+ * backup) is snapshotted before it is first modified, and if any target
+ * fails, all of them are put back as they were.
+ *
+ * The lock file lives in the app root, the one place the CLI (possibly run
+ * as another user) and the extension host both see, and keeps them from
+ * patching the same installation at the same time.
+ */
+
+'use strict';
+
+const fsp = require('fs/promises');
+const path = require('path');
+const { BACKUP_SUFFIX, LEGACY_BACKUP_SUFFIXES, MANIFEST_SUFFIX } = require('./backup');
+const { writeAtomic } = require('./atomic');
+const scanner = require('./scanner');
+
+const LOCK_FILE = '.ba-patch.lock';
+
+/** How long to wait for another process to finish patching. */
+const LOCK_TIMEOUT = 30_000;
+const LOCK_POLL = 200;
+
+/** A lock older than this is left over from a crash. */
+const LOCK_STALE = 10 * 60_000;
+
+/** A lock file still empty after this is left over from a crash. */
+const LOCK_GRACE = 5_000;
+
+/** Shown to whoever has to wait for the lock. */
+const OWNER = process.versions.electron ? 'the Better Antigravity extension' : 'the better-antigravity CLI';
+
+// ─── Lock ───────────────────────────────────────────────────────────────────
+
+function isAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (err) {
+        return err.code === 'EPERM';
+    }
+}
+
+/**
+ * Who holds the lock, or null if it's left over from a process that's gone.
+ */
+async function lockHolder(file) {
+    let st;
+    let holder;
+    try {
+        st = await fsp.stat(file);
+        holder = JSON.parse(await fsp.readFile(file, 'utf8'));
+    } catch {
+        // Gone, or just created and not written yet
+        return st && Date.now() - st.mtimeMs < LOCK_GRACE ? { owner: 'another process', pid: '?' } : null;
+    }
+    if (!isAlive(holder.pid) || Date.now() - Date.parse(holder.createdAt) > LOCK_STALE) return null;
+    return holder;
+}
+
+async function acquireLock(file) {
+    const deadline = Date.now() + LOCK_TIMEOUT;
+    for (;;) {
+        try {
+            const handle = await fsp.open(file, 'wx');
+            await handle.writeFile(JSON.stringify({ pid: process.pid, owner: OWNER, createdAt: new Date().toISOString() }));
+            await handle.close();
+            return;
+        } catch (err) {
+            if (err.code !== 'EEXIST') throw err;
+        }
+
+        const holder = await lockHolder(file);
+        if (!holder) {
+            await fsp.rm(file, { force: true });
+            continue;
+        }
+        if (Date.now() > deadline) {
+            throw new Error(`Antigravity is being patched by ${holder.owner} (pid ${holder.pid}); try again when it's done`);
+        }
+        await new Promise(resolve => setTimeout(resolve, LOCK_POLL));
+    }
+}
+
+/**
+ * Run `fn` holding the patch lock of an installation.
+ *
+ * @template T
+ * @param {string} appRoot
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+async function withLock(appRoot, fn) {
+    const file = path.join(appRoot, LOCK_FILE);
+    await acquireLock(file);
+    try {
+        return await fn();
+    } finally {
+        await fsp.rm(file, { force: true });
+    }
+}
+
+// ─── Transaction ────────────────────────────────────────────────────────────
+
+/** A bundle and every backup file either tool may have written for it. */
+function filesOf(filePath) {
+    const backups = [BACKUP_SUFFIX, ...LEGACY_BACKUP_SUFFIXES].map(s => filePath + s);
+    return [filePath, ...backups, ...backups.map(b => b + MANIFEST_SUFFIX)];
+}
+
+async function readOrNull(file) {
+    try {
+        return await fsp.readFile(file);
+    } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+    }
+}
+
+/**
+ * Start a transaction. Call `snapshot(filePath)` before modifying a bundle
+ * or its backups; `rollback()` restores every snapshotted file.
+ */
+function createTransaction() {
+    /** @type {Map<string, Array<[string, Buffer | null]>>} */
+    const snapshots = new Map();
+
+    return {
+        async snapshot(filePath) {
+            if (snapshots.has(filePath)) return;
+            const files = [];
+            for (const file of filesOf(filePath)) files.push([file, await readOrNull(file)]);
+            snapshots.set(filePath, files);
+        },
+
+        async rollback() {
+            for (const [filePath, files] of [...snapshots].reverse()) {
+                for (const [file, data] of files) {
+                    if (data === null) await fsp.rm(file, { force: true });
+                    else await writeAtomic(file, data);
+                }
+                await scanner.forgetFile(filePath);
+            }
+            snapshots.clear();
+        },
+    };
+}
+
+module.exports = { LOCK_FILE, withLock, createTransaction };
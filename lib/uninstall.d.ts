@@ -0,0 +1,39 @@
+/**
+ * Type declarations for restoring a pristine installation (lib/uninstall.js).
+ */
+
+import { ChecksumState } from './checksums';
+
+export interface UninstallTarget {
+    fix: string;
+    label: string;
+    path: string;
+    exists: boolean;
+    /** Restored from a backup */
+    reverted: boolean;
+    /** Leftover backup and manifest files deleted */
+    removed: string[];
+    /** Still carries a fix */
+    patched: boolean;
+    /** Matches the original hash recorded when it was first patched; null when there is nothing to compare */
+    original: boolean | null;
+    error?: string;
+    /** Not reverted: the bundle changed since it was patched (`force` restores the old backup anyway) */
+    stale?: boolean;
+}
+
+export interface UninstallReport {
+    installDir: string;
+    targets: UninstallTarget[];
+    /** Every file product.json lists */
+    checksums: ChecksumState[];
+    checksumError?: string;
+    /** Nothing of ours is left and every checksum matches */
+    pristine: boolean;
+}
+
+export function restoreOriginal(
+    install: { installDir: string; appRoot: string },
+    options?: { force?: boolean; version?: string },
+): Promise<UninstallReport>;
+export function describeProblems(report: UninstallReport): string[];
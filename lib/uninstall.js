@@ -0,0 +1,175 @@
+/**
+ * Restore a pristine Antigravity: everything either tool ever changed in an
+ * installation, undone.
+ *
+ * Every target bundle of every fix (including older target paths) is
+ * reverted from its backups, the way `--revert` does, until it carries no
+ * fix. What's left over (a `.bak` under a `.ba-backup`, a backup from an
+ * older IDE version, a manifest without its backup) is deleted. Reverting
+ * puts the product.json checksums back (see lib/checksums.js); the result
+ * is checked against the original hashes recorded in the manifests and
+ * against every checksum IntegrityService looks at. Callers clear the code
+ * caches afterwards, as after any revert.
+ *
+ * The SDK integration (workbench.html) is shared with other SDK-based
+ * extensions and only the SDK can remove it; the extension does that
+ * before calling this.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { fixes } = require('../fixes');
+const engine = require('./engine');
+const scanner = require('./scanner');
+const { BACKUP_SUFFIX, LEGACY_BACKUP_SUFFIXES, MANIFEST_SUFFIX, sha256, findBackup, readManifest } = require('./backup');
+const { verifyChecksums } = require('./checksums');
+const { withLock } = require('./transaction');
+const { recordHistory } = require('./history');
+
+// ─── Targets ────────────────────────────────────────────────────────────────
+
+/**
+ * Every path any fix patches or patched, with the fix it belongs to.
+ */
+function allTargets(appRoot) {
+    const byPath = new Map();
+    for (const fix of fixes) {
+        for (const t of fix.targets) {
+            for (const p of t.paths) {
+                const file = path.join(appRoot, ...p.split('/'));
+                if (!byPath.has(file)) byPath.set(file, { fix, label: t.label, path: file });
+            }
+        }
+    }
+    return [...byPath.values()];
+}
+
+/** Backup and manifest files either tool may have left next to a bundle. */
+function backupFiles(filePath) {
+    return [BACKUP_SUFFIX, ...LEGACY_BACKUP_SUFFIXES]
+        .flatMap(suffix => [filePath + suffix, filePath + suffix + MANIFEST_SUFFIX])
+        .filter(file => fs.existsSync(file));
+}
+
+/**
+ * Hash of the bundle before it was first patched, from the newest backup.
+ */
+async function recordedOriginal(filePath) {
+    const backup = findBackup(filePath);
+    if (!backup) return null;
+    const manifest = await readManifest(backup);
+    return manifest ? manifest.originalSha256 : sha256(await fsp.readFile(backup));
+}
+
+async function carriesFix(filePath) {
+    const { entry } = await scanner.scanFile(filePath);
+    return Object.values(entry.patched).some(Boolean);
+}
+
+/**
+ * Revert one bundle and clean up after it.
+ *
+ * @returns {Promise<{ target: import('./uninstall').UninstallTarget, results: import('./engine').PatchResult[] }>}
+ */
+async function restoreTarget(t, options) {
+    const target = { fix: t.fix.id, label: t.label, path: t.path, exists: fs.existsSync(t.path), reverted: false, removed: [], patched: false, original: null };
+    const results = [];
+
+    if (target.exists) {
+        const expected = await recordedOriginal(t.path);
+
+        // A legacy .bak can sit under a .ba-backup: keep going until the bundle is clean
+        while (findBackup(t.path) && await carriesFix(t.path)) {
+            const result = await engine.revertFile(t.fix, t.path, t.label, { force: options.force });
+            results.push(result);
+            if (!result.success) {
+                target.error = result.error || result.status;
+                target.stale = result.status === 'stale-backup';
+                break;
+            }
+            target.reverted = true;
+        }
+
+        target.patched = await carriesFix(t.path);
+        if (expected) {
+            const matches = (await scanner.scanFile(t.path)).entry.sha256 === expected;
+            // Unpatched but different: Antigravity was updated and the backup is outdated
+            target.original = matches || target.reverted ? matches : null;
+        }
+    }
+
+    // A clean (or missing) bundle doesn't need what's left
+    if (!target.patched && !target.error) {
+        for (const file of backupFiles(t.path)) {
+            await fsp.rm(file, { force: true });
+            target.removed.push(file);
+        }
+    }
+    await scanner.forgetFile(t.path);
+    return { target, results };
+}
+
+// ─── Restore ────────────────────────────────────────────────────────────────
+
+/**
+ * Undo every change to an installation and check the result.
+ *
+ * Holds the patch lock for the whole restore. Backups of bundles that are
+ * still patched are kept, so a failed revert can be retried.
+ *
+ * @param {{ installDir: string, appRoot: string }} install
+ * @param {{ force?: boolean, version?: string }} [options] - `force` restores backups from an older IDE version; `version` goes into the history
+ * @returns {Promise<import('./uninstall').UninstallReport>}
+ */
+async function restoreOriginal(install, options = {}) {
+    const { appRoot } = install;
+    const report = { installDir: install.installDir, targets: [], checksums: [], pristine: false };
+
+    const byFix = new Map();
+    await withLock(appRoot, async () => {
+        for (const t of allTargets(appRoot)) {
+            const { target, results } = await restoreTarget(t, options);
+            report.targets.push(target);
+            if (results.length > 0) byFix.set(t.fix, [...(byFix.get(t.fix) || []), ...results]);
+        }
+    });
+    for (const [fix, results] of byFix) {
+        await recordHistory(fix, appRoot, results, { action: 'revert', version: options.version });
+    }
+
+    try {
+        report.checksums = await verifyChecksums(appRoot);
+    } catch (err) {
+        report.checksumError = `Could not read product.json: ${err.message}`;
+    }
+
+    report.pristine = !report.checksumError
+        && report.targets.every(t => !t.patched && !t.error && t.original !== false && backupFiles(t.path).length === 0)
+        && report.checksums.every(c => c.ok);
+    return report;
+}
+
+/**
+ * One line per problem left after a restore; empty when pristine.
+ *
+ * @param {import('./uninstall').UninstallReport} report
+ * @returns {string[]}
+ */
+function describeProblems(report) {
+    const problems = [];
+    for (const t of report.targets) {
+        if (t.error) problems.push(`${t.label}: ${t.error}`);
+        else if (t.patched) problems.push(`${t.label}: still patched (no backup to restore from)`);
+        else if (t.original === false) problems.push(`${t.label}: does not match the original recorded when it was patched`);
+    }
+    if (report.checksumError) problems.push(report.checksumError);
+    for (const c of report.checksums) {
+        if (!c.ok) problems.push(`product.json checksum of ${c.key}: ${c.missing ? 'file missing' : 'does not match the file'}`);
+    }
+    return problems;
+}
+
+module.exports = { restoreOriginal, describeProblems };
@@ -0,0 +1,30 @@
+/**
+ * Type declarations for patch verification (lib/verify.js).
+ */
+
+import { FixVars } from '../fixes';
+import { Analysis } from './engine';
+
+export interface VerificationCheck {
+    check: 'syntax' | 'scope';
+    ok: boolean;
+    /** Why the check didn't run (counts as passed) */
+    skipped?: string;
+    /** Syntax: compiler error */
+    error?: string;
+    /** Syntax: set when only the enclosing block could be compiled */
+    scope?: string;
+    /** Scope: bundle identifiers the snippet references, and those not in scope */
+    names?: string[];
+    missing?: string[];
+}
+
+export interface Verification {
+    ok: boolean;
+    checks: VerificationCheck[];
+    error?: string;
+}
+
+export function checkScope(content: string, offset: number, names: string[]): { reliable: boolean; missing: string[] };
+export function referencedNames(snippet: string, vars: FixVars): string[];
+export function verifyPatch(original: string, patched: string, analysis: Analysis): Verification;
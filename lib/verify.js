@@ -0,0 +1,351 @@
+/**
+ * Patch verification — checks a patched bundle before it is written.
+ *
+ * Signature steps guess aliases (the useEffect alias by frequency), and a
+ * wrong guess gives a bundle that either doesn't parse or calls something
+ * that isn't there: Antigravity then opens to a grey screen. Two checks run
+ * on the patched output, and the patch is refused if either fails:
+ *
+ *   syntax — the patched bundle is compiled (never run) with `vm.Script`.
+ *            Bundles that aren't classic scripts (ES modules) fall back to
+ *            compiling the function the snippet was injected into.
+ *   scope  — every bundle identifier the snippet references must be
+ *            declared in a block enclosing the insertion point (or be a
+ *            parameter of an enclosing function, or module-level).
+ *
+ * The scope check uses a small tokenizer rather than a full parser, so it
+ * errs on the lenient side; when it can't make sense of a bundle it reports
+ * itself as skipped instead of refusing the patch.
+ */
+
+'use strict';
+
+const vm = require('vm');
+
+/** After these punctuators, `/` starts a regex literal, not a division. */
+const REGEX_AFTER = new Set('(,=:[!&|?{};+-*%<>~^'.split(''));
+const REGEX_AFTER_WORDS = new Set(['return', 'typeof', 'case', 'do', 'else', 'in', 'of', 'new', 'delete', 'void', 'throw', 'instanceof', 'yield', 'await']);
+
+/** A wanted identifier right after one of these is being declared. */
+const DECLARE_AFTER_WORDS = new Set(['var', 'let', 'const', 'function', 'class', 'import', 'as']);
+
+/** Parentheses after these hold a condition, not parameters. */
+const CONDITION_WORDS = new Set(['if', 'while', 'for', 'switch', 'with']);
+
+const IDENT = /[A-Za-z_$][\w$]*/y;
+const NUMBER = /[0-9][\w.]*/y;
+
+/** Scope id for module level (always encloses everything). */
+const MODULE = -1;
+
+// ─── Scope ──────────────────────────────────────────────────────────────────
+
+function skipString(content, i) {
+    const quote = content[i];
+    for (i++; i < content.length; i++) {
+        if (content[i] === '\\') i++;
+        else if (content[i] === quote) return i + 1;
+    }
+    return i;
+}
+
+/**
+ * Scan template literal text from `i` (just after "`" or a closing "}" of
+ * a substitution). Returns where code resumes and whether a `${` was opened.
+ */
+function skipTemplate(content, i) {
+    for (; i < content.length; i++) {
+        const c = content[i];
+        if (c === '\\') i++;
+        else if (c === '`') return { end: i + 1, substitution: false };
+        else if (c === '$' && content[i + 1] === '{') return { end: i + 2, substitution: true };
+    }
+    return { end: i, substitution: false };
+}
+
+function skipRegex(content, i) {
+    let inClass = false;
+    for (i++; i < content.length; i++) {
+        const c = content[i];
+        if (c === '\n') return i;
+        if (c === '\\') i++;
+        else if (c === '[') inClass = true;
+        else if (c === ']') inClass = false;
+        else if (c === '/' && !inClass) {
+            IDENT.lastIndex = i + 1;
+            return IDENT.exec(content) ? IDENT.lastIndex : i + 1;
+        }
+    }
+    return i;
+}
+
+function isSpace(c) {
+    return c === ' ' || c === '\n' || c === '\t' || c === '\r' || (c > '~' && /\s/.test(c));
+}
+
+function nextNonSpace(content, i) {
+    while (i < content.length && isSpace(content[i])) i++;
+    return i;
+}
+
+/**
+ * Find which of `names` are declared in a scope enclosing `offset`.
+ *
+ * @param {string} content
+ * @param {number} offset
+ * @param {string[]} names
+ * @returns {{ reliable: boolean, missing: string[] }}
+ */
+function checkScope(content, offset, names) {
+    const wanted = new Set(names);
+    /** @type {Map<string, Set<number>>} name -> ids of the blocks declaring it */
+    const declared = new Map(names.map(n => [n, new Set()]));
+    /** @type {Array<{ ch: string, pos: number, params?: string[] }>} */
+    const stack = [];
+    let enclosing = null;
+    let prev = '';
+    let prevWord = '';
+    let pendingParams = null;
+    let decl = null;
+    let inImport = false;
+    let reliable = true;
+
+    const blockId = () => {
+        for (let k = stack.length - 1; k >= 0; k--) {
+            if (stack[k].ch === '{') return stack[k].module ? MODULE : stack[k].pos;
+        }
+        return MODULE;
+    };
+    const declare = (name, id) => declared.get(name).add(id);
+
+    // In `const {a,b:X}=…` / `const [a,X]=…`: only patterns between the keyword and us
+    const inPattern = () => stack.slice(decl.depth).every(s => s.ch === '{' || s.ch === '[');
+
+    // Parameters: words directly in a `(`, or in a destructuring pattern inside one
+    const paramList = () => {
+        for (let k = stack.length - 1; k >= 0; k--) {
+            if (stack[k].ch === '(') return stack[k].params || null;
+            if (stack[k].ch !== '{' && stack[k].ch !== '[') return null;
+        }
+        return null;
+    };
+
+    let i = 0;
+    const n = content.length;
+    while (i < n) {
+        if (enclosing === null && i >= offset) {
+            enclosing = new Set([MODULE, ...stack.filter(s => s.ch === '{' && !s.module).map(s => s.pos)]);
+        }
+        const c = content[i];
+
+        if (isSpace(c)) { i++; continue; }
+
+        if (c === '/' && content[i + 1] === '/') {
+            const end = content.indexOf('\n', i);
+            i = end === -1 ? n : end;
+            continue;
+        }
+        if (c === '/' && content[i + 1] === '*') {
+            const end = content.indexOf('*/', i + 2);
+            i = end === -1 ? n : end + 2;
+            continue;
+        }
+        if (c === '"' || c === '\'') { i = skipString(content, i); prev = '"'; prevWord = ''; continue; }
+        if (c === '`') {
+            const t = skipTemplate(content, i + 1);
+            if (t.substitution) stack.push({ ch: '${', pos: i });
+            i = t.end;
+            prev = '"'; prevWord = '';
+            continue;
+        }
+        if (c === '/') {
+            const isRegex = prevWord ? REGEX_AFTER_WORDS.has(prevWord) : prev === '' || REGEX_AFTER.has(prev);
+            i = isRegex ? skipRegex(content, i) : i + 1;
+            prev = isRegex ? '"' : '/'; prevWord = '';
+            continue;
+        }
+
+        IDENT.lastIndex = i;
+        const word = IDENT.exec(content);
+        if (word) {
+            const w = word[0];
+            i = IDENT.lastIndex;
+            if (w === 'import' && stack.length === 0) inImport = true;
+            if (w === 'var' || w === 'let' || w === 'const') decl = { depth: stack.length, scope: blockId() };
+
+            if (wanted.has(w) && prev !== '.') {
+                const next = nextNonSpace(content, i);
+                if (content.startsWith('=>', next)) {
+                    pendingParams = [w];
+                } else if (DECLARE_AFTER_WORDS.has(prevWord)) {
+                    declare(w, prevWord === 'as' && inImport ? MODULE : blockId());
+                } else if (decl && (stack.length === decl.depth
+                    ? prev === ','
+                    : prev !== '' && '{[,:'.includes(prev) && inPattern() && /^[,}\]]|^=(?![=>])/.test(content.substring(next, next + 2)))) {
+                    declare(w, decl.scope);
+                } else {
+                    const params = paramList();
+                    if (params) params.push(w);
+                }
+            }
+            prev = ''; prevWord = w;
+            continue;
+        }
+
+        NUMBER.lastIndex = i;
+        if (NUMBER.exec(content)) { i = NUMBER.lastIndex; prev = '"'; prevWord = ''; continue; }
+
+        if (c === '{' || c === '(' || c === '[') {
+            const entry = { ch: c, pos: i };
+            if (c === '(' && !CONDITION_WORDS.has(prevWord)) entry.params = [];
+            if (c === '{' && inImport) entry.module = true;
+            if (c === '{' && pendingParams) {
+                for (const p of pendingParams) declare(p, i);
+            }
+            pendingParams = null;
+            stack.push(entry);
+        } else if (c === '}' || c === ')' || c === ']') {
+            const open = stack.pop();
+            const expected = c === '}' ? ['{', '${'] : c === ')' ? ['('] : ['['];
+            if (!open || !expected.includes(open.ch)) {
+                reliable = false;
+                break;
+            }
+            if (open.ch === '${') {
+                const t = skipTemplate(content, i + 1);
+                if (t.substitution) stack.push({ ch: '${', pos: i });
+                i = t.end;
+                prev = '"'; prevWord = '';
+                continue;
+            }
+            if (decl && stack.length < decl.depth) decl = null;
+            if (open.ch === '(') {
+                // `(a,b)=>{` `function f(a,b){` `catch(e){`: params belong to the next block
+                const next = nextNonSpace(content, i + 1);
+                const arrow = content.startsWith('=>', next);
+                const body = arrow ? nextNonSpace(content, next + 2) : next;
+                pendingParams = content[body] === '{' && open.params && open.params.length ? open.params : null;
+            }
+        } else if (c === ';') {
+            if (decl && stack.length === decl.depth) decl = null;
+            if (stack.length === 0) inImport = false;
+        }
+        prev = c; prevWord = '';
+        i++;
+    }
+
+    if (stack.length !== 0) reliable = false;
+    if (!enclosing) enclosing = new Set([MODULE]);
+    const missing = names.filter(name => ![...declared.get(name)].some(id => enclosing.has(id)));
+    return { reliable, missing };
+}
+
+/**
+ * Identifiers from the bundle that a snippet references: the extracted
+ * variables (or the base of an extracted expression such as `e.step`) that
+ * occur in the snippet outside property access.
+ *
+ * @param {string} snippet
+ * @param {import('../fixes').FixVars} vars
+ * @returns {string[]}
+ */
+function referencedNames(snippet, vars) {
+    const names = new Set();
+    for (const value of Object.values(vars)) {
+        const base = value && /^[A-Za-z_$][\w$]*/.exec(value);
+        if (!base) continue;
+        const used = new RegExp(`(^|[^\\w$.])${base[0].replace(/\$/g, '\\$')}(?![\\w$])`).test(snippet);
+        if (used) names.add(base[0]);
+    }
+    return [...names];
+}
+
+// ─── Syntax ─────────────────────────────────────────────────────────────────
+
+function compileError(source) {
+    try {
+        new vm.Script(source, { filename: 'patched-bundle.js' });
+        return null;
+    } catch (err) {
+        return `${err.name}: ${err.message}`;
+    }
+}
+
+/**
+ * Start of the innermost enclosing `{` block that still contains the whole
+ * snippet in the patched bundle, found by bracket counting backwards.
+ */
+function enclosingBlock(patched, insertAt, snippetLength) {
+    let depth = 0;
+    for (let i = insertAt - 1; i >= 0; i--) {
+        const c = patched[i];
+        if (c === '}' || c === ')' || c === ']') depth++;
+        else if (c === '{' || c === '(' || c === '[') {
+            if (depth === 0) {
+                if (c !== '{') continue;
+                let d = 0;
+                for (let j = i; j < patched.length; j++) {
+                    const cj = patched[j];
+                    if (cj === '{' || cj === '(' || cj === '[') d++;
+                    else if (cj === '}' || cj === ')' || cj === ']') d--;
+                    if (d === 0) return j >= insertAt + snippetLength ? patched.substring(i, j + 1) : null;
+                }
+                return null;
+            }
+            depth--;
+        }
+    }
+    return null;
+}
+
+// ─── Verify ─────────────────────────────────────────────────────────────────
+
+/**
+ * Check a patched bundle before it is written.
+ *
+ * @param {string} original
+ * @param {string} patched
+ * @param {import('./engine').Analysis} analysis - the successful analysis that produced `patched`
+ * @returns {import('./verify').Verification}
+ */
+function verifyPatch(original, patched, analysis) {
+    const { insertAt, snippet } = analysis;
+    const checks = [];
+
+    // Syntax
+    let syntaxError = compileError(patched);
+    let syntax = { check: 'syntax', ok: !syntaxError };
+    if (syntaxError && compileError(original)) {
+        // Not a classic script (ES module): compile the function we patched instead
+        const block = enclosingBlock(patched, insertAt, snippet.length);
+        syntaxError = block ? compileError(`(async function*()${block})`) : null;
+        syntax = block
+            ? { check: 'syntax', ok: !syntaxError, scope: 'enclosing block' }
+            : { check: 'syntax', ok: true, skipped: 'bundle is not a classic script' };
+    }
+    if (syntaxError) syntax.error = syntaxError;
+    checks.push(syntax);
+
+    // Scope
+    const names = referencedNames(snippet, analysis.vars);
+    const scope = checkScope(original, insertAt, names);
+    checks.push(scope.reliable
+        ? { check: 'scope', ok: scope.missing.length === 0, names, missing: scope.missing }
+        : { check: 'scope', ok: true, names, skipped: 'could not follow the bundle structure' });
+
+    const failed = checks.find(c => !c.ok);
+    if (!failed) return { ok: true, checks };
+
+    let error;
+    if (failed.check === 'syntax') {
+        error = `Patched bundle would not parse (${failed.error}); refusing to write it`;
+    } else {
+        const which = Object.entries(analysis.vars)
+            .filter(([, v]) => v && failed.missing.some(m => v === m || v.startsWith(m + '.') || v.startsWith(m + '?')))
+            .map(([k, v]) => `${k}=${v}`);
+        error = `Injected code references ${failed.missing.join(', ')} (${which.join(', ')}), not in scope at offset ${insertAt}; refusing to write it`;
+    }
+    return { ok: false, checks, error };
+}
+
+module.exports = { checkScope, referencedNames, verifyPatch };
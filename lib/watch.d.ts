@@ -0,0 +1,46 @@
+/**
+ * Type declarations for watch mode (lib/watch.js).
+ */
+
+import { FixDefinition, FixSettings } from '../fixes';
+import { PatchResult } from './engine';
+
+/** A fix was re-applied because Antigravity replaced some of its bundles. */
+export interface ReappliedEvent {
+    fix: FixDefinition;
+    /** Labels of the replaced bundles */
+    replaced: string[];
+    /** Version of the new bundles */
+    version: string;
+    results: PatchResult[];
+}
+
+export interface WatchOptions {
+    fixes: FixDefinition[];
+    /** Current settings by fix id, read on every re-apply */
+    settings?: () => Record<string, FixSettings | undefined>;
+    onReapplied: (event: ReappliedEvent) => void | Promise<void>;
+    /** Asked before re-applying; false skips the fix until its bundles change again */
+    confirm?: (fix: FixDefinition, replaced: string[]) => Promise<boolean>;
+    onError?: (err: Error) => void;
+    /** Poll interval in ms (default POLL_INTERVAL) */
+    interval?: number;
+    /** Quiet time in ms after the last change (default SETTLE_DELAY) */
+    settle?: number;
+    /** Keep the process alive while watching (default true) */
+    persistent?: boolean;
+}
+
+export interface Watcher {
+    /** Watched bundle paths */
+    files: string[];
+    /** Look for replaced bundles now */
+    check(): Promise<void>;
+    close(): void;
+}
+
+export const POLL_INTERVAL: number;
+export const SETTLE_DELAY: number;
+
+export function findReplaced(fix: FixDefinition, appRoot: string): Promise<string[]>;
+export function watchFixes(appRoot: string, options: WatchOptions): Watcher;
@@ -0,0 +1,149 @@
+/**
+ * Watch mode: re-apply fixes when Antigravity replaces its bundles.
+ *
+ * An update swaps the bundles out from under us. We tell that apart from a
+ * revert by the backup: a reverted bundle has none, while a replaced one
+ * still has the backup we took, and matches neither the original nor the
+ * patched hash in its manifest. Only replaced bundles are re-patched, so
+ * `--revert` (from either tool) is never undone behind the user's back.
+ *
+ * Bundles are polled with fs.watchFile rather than fs.watch: updaters
+ * rename files and whole directories into place, which silently ends an
+ * inotify/FSEvents watch but not a stat poll on the path.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const engine = require('./engine');
+const scanner = require('./scanner');
+const { findBackup, readManifest, sha256 } = require('./backup');
+const { getVersion } = require('./install');
+const { recordHistory } = require('./history');
+
+/** How often the target bundles are stat'ed. */
+const POLL_INTERVAL = 5_000;
+
+/** Quiet time after the last change before we look: updaters write in bursts. */
+const SETTLE_DELAY = 3_000;
+
+/**
+ * Whether a bundle we patched has since been replaced by Antigravity.
+ *
+ * @param {import('../fixes').FixDefinition} fix
+ * @param {string} filePath
+ * @returns {Promise<boolean>}
+ */
+async function wasReplaced(fix, filePath) {
+    const backup = findBackup(filePath);
+    if (!backup) return false; // never patched, or reverted
+
+    let scan;
+    try {
+        scan = await scanner.scanFile(filePath);
+    } catch {
+        return false; // mid-update; the next change brings us back
+    }
+    if (scan.entry.patched[fix.id]) return false;
+
+    const current = scan.entry.sha256;
+    const manifest = await readManifest(backup);
+    if (!manifest) return current !== sha256(await fsp.readFile(backup));
+    return current !== manifest.originalSha256 && current !== manifest.patchedSha256;
+}
+
+/**
+ * Labels of the targets of a fix that were replaced since we patched them.
+ *
+ * @param {import('../fixes').FixDefinition} fix
+ * @param {string} appRoot
+ * @returns {Promise<string[]>}
+ */
+async function findReplaced(fix, appRoot) {
+    const replaced = [];
+    for (const t of engine.resolveTargets(fix, appRoot)) {
+        if (t.exists && await wasReplaced(fix, t.path)) replaced.push(t.label);
+    }
+    return replaced;
+}
+
+/**
+ * Watch the target bundles of the given fixes and re-apply a fix whenever
+ * any of its bundles is replaced. `check()` runs one pass right away (e.g.
+ * to catch an update that happened while nothing was watching).
+ *
+ * @param {string} appRoot
+ * @param {import('./watch').WatchOptions} options
+ * @returns {import('./watch').Watcher}
+ */
+function watchFixes(appRoot, options) {
+    const {
+        fixes,
+        settings = () => ({}),
+        onReapplied,
+        confirm,
+        onError = () => {},
+        interval = POLL_INTERVAL,
+        settle = SETTLE_DELAY,
+        persistent = true,
+    } = options;
+
+    const files = [...new Set(fixes.flatMap(fix => engine.resolveTargets(fix, appRoot).map(t => t.path)))];
+    let timer = null;
+    let running = null;
+    let pending = false;
+    let closed = false;
+
+    async function pass() {
+        for (const fix of fixes) {
+            if (closed) return;
+            const replaced = await findReplaced(fix, appRoot);
+            if (replaced.length === 0) continue;
+            if (confirm && !await confirm(fix, replaced)) continue;
+
+            const version = getVersion(appRoot);
+            const results = await engine.patchFix(fix, appRoot, { version, settings: settings()[fix.id] });
+            await recordHistory(fix, appRoot, results, { action: 'repair', version });
+            await onReapplied({ fix, replaced, version, results });
+        }
+    }
+
+    function check() {
+        if (running) {
+            pending = true;
+            return running;
+        }
+        running = pass()
+            .catch(err => onError(err))
+            .finally(() => {
+                running = null;
+                if (pending && !closed) {
+                    pending = false;
+                    check();
+                }
+            });
+        return running;
+    }
+
+    /** @param {fs.Stats} curr @param {fs.Stats} prev */
+    function onChange(curr, prev) {
+        if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+        clearTimeout(timer);
+        timer = setTimeout(check, settle);
+    }
+
+    for (const file of files) fs.watchFile(file, { interval, persistent }, onChange);
+
+    return {
+        files,
+        check,
+        close() {
+            closed = true;
+            clearTimeout(timer);
+            for (const file of files) fs.unwatchFile(file, onChange);
+        },
+    };
+}
+
+module.exports = { POLL_INTERVAL, SETTLE_DELAY, findReplaced, watchFixes };
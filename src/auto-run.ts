@@ -1,235 +1,308 @@
 /**
- * Auto-Run Fix — Patches the "Always Proceed" terminal policy to actually auto-execute.
+ * Auto-Run Fix — applies the registered fixes from the extension.
  *
- * Uses structural regex matching to find the onChange handler in minified code
- * and injects a missing useEffect that auto-confirms commands when policy is EAGER.
- *
- * Works across AG versions because it matches code STRUCTURE, not variable NAMES.
+ * Fix definitions live in fixes/ and are applied by the shared engine in
+ * lib/engine.js, the same code the CLI uses. A bundle patched by
+ * `npx better-antigravity` is therefore "fixed" here too, and either tool
+ * can revert the other's backup.
  *
  * @module auto-run
  */
 
-import * as path from 'path';
-import * as fs from 'fs';
-import * as fsp from 'fs/promises';
-
-/** Marker comment to identify our patches */
-const PATCH_MARKER = '/*BA:autorun*/';
+import { fixes, getFix, FixDefinition, FixSettings } from '../fixes';
+import * as engine from '../lib/engine';
+import { scanFile } from '../lib/scanner';
+import { locate, getVersion, LocateOptions, Installation } from '../lib/install';
+import { previewFile, describeAnalysis, PreviewResult } from '../lib/preview';
+import * as cache from '../lib/cache';
+import { watchFixes, ReappliedEvent, Watcher } from '../lib/watch';
+import { inspectAutoRun, describePolicy, InspectReport } from '../lib/inspect';
+import * as stateDb from '../lib/state-db';
+import * as history from '../lib/history';
+import { restoreOriginal, describeProblems, UninstallReport } from '../lib/uninstall';
+
+export type PatchResult = engine.PatchResult;
+/** A target bundle of a fix, as the status view shows it. */
+export type TargetState = engine.CheckResult & { path: string };
+export type { PreviewResult };
+export type CacheReport = cache.CacheReport;
+export type { ReappliedEvent, Watcher, InspectReport, UninstallReport };
+export { fixes, describeAnalysis, describePolicy, describeProblems };
+export const describeCacheReport = cache.describeCacheReport;
+
+// Everything patched through this module is the extension's doing
+history.setTool('extension');
+
+const autoRunFix = getFix('auto-run') as FixDefinition;
+
+let installOptions: LocateOptions = {};
+let fixSettings: Record<string, FixSettings> = {};
+let fixOptions: Record<string, FixOptions> = {};
+let userDataDir: string | undefined;
 
 /**
- * Resolve the Antigravity workbench directory.
+ * Set how the installation is located (settings override, running IDE).
+ * Kept here so this module stays free of the vscode API.
  */
-export function getWorkbenchDir(): string | null {
-    const appData = process.env.LOCALAPPDATA || '';
-    const dir = path.join(
-        appData,
-        'Programs', 'Antigravity', 'resources', 'app', 'out',
-        'vs', 'code', 'electron-browser', 'workbench',
-    );
-    return fs.existsSync(dir) ? dir : null;
+export function setInstallOptions(options: LocateOptions): void {
+    installOptions = options;
 }
 
 /**
- * Target files that need the auto-run patch.
+ * Set the user settings of each fix, by fix id (e.g. auto-run command rules).
+ * Bundles patched with other settings are re-patched by the next autoApply().
  */
-export function getTargetFiles(workbenchDir: string): Array<{ path: string; label: string }> {
-    return [
-        { path: path.join(workbenchDir, 'workbench.desktop.main.js'), label: 'workbench' },
-        { path: path.join(workbenchDir, 'jetskiAgent.js'), label: 'jetskiAgent' },
-    ].filter(f => fs.existsSync(f.path));
+export function setFixSettings(settings: Record<string, FixSettings>): void {
+    fixSettings = settings;
 }
 
 /**
- * Check if a file already has the auto-run patch applied.
+ * How the extension applies a fix (betterAntigravity.<fix>.enabled,
+ * .applyOnStartup, .prompt).
  */
-export async function isPatched(filePath: string): Promise<boolean> {
-    try {
-        // Read only first 50 bytes of the marker area via a small buffer scan
-        // The marker is injected mid-file, so we must read the full file.
-        // Use async to avoid blocking extension host.
-        const content = await fsp.readFile(filePath, 'utf8');
-        return content.includes(PATCH_MARKER);
-    } catch {
-        return false;
-    }
+export interface FixOptions {
+    /** Off: the fix is reverted instead of applied */
+    enabled: boolean;
+    /** Apply on startup and after Antigravity updates */
+    applyOnStartup: boolean;
+    /** Ask before patching on startup or after an update */
+    prompt: boolean;
 }
 
+const DEFAULT_OPTIONS: FixOptions = { enabled: true, applyOnStartup: true, prompt: false };
+
 /**
- * Analyze a file to find the onChange handler and extract variable names.
- *
- * Returns null if pattern not found (file may already be fixed by AG update).
+ * Set the extension options of each fix, by fix id.
  */
-function analyzeFile(content: string): AnalysisResult | null {
-    // Find onChange handler for terminalAutoExecutionPolicy
-    // Pattern: <callback>=<useCallback>((<arg>)=>{<setFn>(<arg>),<arg>===<ENUM>.EAGER&&<confirm>(true)},[...])
-    const onChangeRegex = /(\w+)=(\w+)\((\(\w+\))=>\{(\w+)\(\w+\),\w+===(\w+)\.EAGER&&(\w+)\(!0\)\},\[/g;
-    const match = onChangeRegex.exec(content);
-
-    if (!match) return null;
-
-    const [fullMatch, , , , , enumName, confirmFn] = match;
-    const insertPos = match.index + fullMatch.length;
-
-    // Extract context variables from surrounding code
-    const contextStart = Math.max(0, match.index - 3000);
-    const contextEnd = Math.min(content.length, match.index + 3000);
-    const context = content.substring(contextStart, contextEnd);
+export function setFixOptions(options: Record<string, FixOptions>): void {
+    fixOptions = options;
+}
 
-    // policyVar: <var>=<something>?.terminalAutoExecutionPolicy??<ENUM>.OFF
-    const policyMatch = /(\w+)=\w+\?\.terminalAutoExecutionPolicy\?\?(\w+)\.OFF/.exec(context);
-    // secureVar: <var>=<something>?.secureModeEnabled??!1
-    const secureMatch = /(\w+)=\w+\?\.secureModeEnabled\?\?!1/.exec(context);
+export function getFixOptions(fix: FixDefinition): FixOptions {
+    return fixOptions[fix.id] ?? DEFAULT_OPTIONS;
+}
 
-    if (!policyMatch || !secureMatch) return null;
+/**
+ * Settings section of a fix, e.g. `auto-run` -> `autoRun` (betterAntigravity.autoRun.*).
+ */
+export function configSection(fix: FixDefinition): string {
+    return fix.id.replace(/-(\w)/g, (_, c: string) => c.toUpperCase());
+}
 
-    const policyVar = policyMatch[1];
-    const secureVar = secureMatch[1];
+/**
+ * Set the user-data dir of the running IDE, which holds the caches to clear.
+ */
+export function setUserDataDir(dir: string): void {
+    userDataDir = dir;
+}
 
-    // Find useEffect — most frequently used short-named function in the scope
-    const useEffectFn = findUseEffect(context, [confirmFn]);
+/**
+ * Locate the Antigravity installation with the shared locator,
+ * the same way the CLI does on every OS.
+ */
+export function getInstall(): Installation | null {
+    return locate(installOptions);
+}
 
-    if (!useEffectFn) return null;
+/**
+ * Resolve the Antigravity app root (resources/app).
+ */
+export function getAppRoot(): string | null {
+    return getInstall()?.appRoot ?? null;
+}
 
-    // Find insertion point: after the useCallback closing
-    const afterOnChange = content.indexOf('])', insertPos);
-    if (afterOnChange === -1) return null;
+/**
+ * Target files that need the given fix (auto-run by default).
+ */
+export function getTargetFiles(appRoot: string, fix: FixDefinition = autoRunFix): Array<{ path: string; label: string }> {
+    return engine.resolveTargets(fix, appRoot).filter(t => t.exists);
+}
 
-    const insertAt = content.indexOf(';', afterOnChange);
-    if (insertAt === -1) return null;
+/**
+ * Check if a file already has the given fix applied.
+ */
+export async function isPatched(filePath: string, fix: FixDefinition = autoRunFix): Promise<boolean> {
+    try {
+        // Served from the scan cache: unchanged bundles are not re-read
+        const { entry } = await scanFile(filePath);
+        return !!entry.patched[fix.id];
+    } catch {
+        return false;
+    }
+}
 
-    return {
-        enumName,
-        confirmFn,
-        policyVar,
-        secureVar,
-        useEffectFn,
-        insertAt: insertAt + 1,
-    };
+/**
+ * State of every target bundle of a fix: patched, patchable, backup and its
+ * IDE version. Served from the scan cache for unchanged bundles.
+ */
+export async function checkFix(fix: FixDefinition): Promise<TargetState[]> {
+    const appRoot = getAppRoot();
+    if (!appRoot) return [];
+
+    const states: TargetState[] = [];
+    for (const t of engine.resolveTargets(fix, appRoot)) {
+        states.push(t.exists
+            ? { ...await engine.checkFile(fix, t.path, t.label), path: t.path }
+            : { fix: fix.id, label: t.label, path: t.path, exists: false, patched: false, patchable: false, backup: null, backupVersion: null, error: 'File not found' });
+    }
+    return states;
 }
 
 /**
- * Find the useEffect function name by frequency analysis.
+ * Preview what the given fix would change in a file, without writing.
  */
-function findUseEffect(context: string, exclude: string[]): string | null {
-    const candidates: Record<string, number> = {};
-    const regex = /(\w{1,3})\(\(\)=>\{/g;
-    let m;
+export function previewPatch(filePath: string, label: string, fix: FixDefinition = autoRunFix): Promise<PreviewResult> {
+    return previewFile(fix, filePath, label, { settings: fixSettings[fix.id] });
+}
 
-    while ((m = regex.exec(context)) !== null) {
-        const fn = m[1];
-        if (fn.length <= 3 && !exclude.includes(fn)) {
-            candidates[fn] = (candidates[fn] || 0) + 1;
-        }
+/**
+ * Whether any target bundle of a fix is patched.
+ */
+export async function isApplied(fix: FixDefinition): Promise<boolean> {
+    const appRoot = getAppRoot();
+    if (!appRoot) return false;
+    for (const t of getTargetFiles(appRoot, fix)) {
+        if (await isPatched(t.path, fix)) return true;
     }
+    return false;
+}
 
-    let best = '';
-    let maxCount = 0;
-    for (const [fn, count] of Object.entries(candidates)) {
-        if (count > maxCount) {
-            best = fn;
-            maxCount = count;
-        }
+/**
+ * Whether some target bundle of a fix is not patched yet.
+ */
+async function needsPatch(fix: FixDefinition, appRoot: string): Promise<boolean> {
+    for (const t of getTargetFiles(appRoot, fix)) {
+        if (!await isPatched(t.path, fix)) return true;
     }
-
-    return best || null;
+    return false;
 }
 
-interface AnalysisResult {
-    enumName: string;
-    confirmFn: string;
-    policyVar: string;
-    secureVar: string;
-    useEffectFn: string;
-    insertAt: number;
+/**
+ * Apply a fix to all of its target files.
+ *
+ * One transaction under the patch lock shared with the CLI: either all of
+ * its bundles get patched or none do.
+ */
+export async function applyFix(fix: FixDefinition): Promise<PatchResult[]> {
+    const appRoot = getAppRoot();
+    if (!appRoot) return [];
+
+    const version = getVersion(appRoot);
+    const results = await engine.patchFix(fix, appRoot, { version, settings: fixSettings[fix.id] });
+    await history.recordHistory(fix, appRoot, results, { action: 'apply', version });
+    return results;
 }
 
 /**
- * Apply the auto-run patch to a single file.
+ * Revert a fix on all target files from backups.
  *
- * @returns Patch status message
+ * Files changed since they were patched (Antigravity update) come back as
+ * `stale-backup` unless `force` is set.
  */
-export async function patchFile(filePath: string, label: string): Promise<PatchResult> {
-    try {
-        let content = await fsp.readFile(filePath, 'utf8');
-
-        if (content.includes(PATCH_MARKER)) {
-            return { success: true, label, status: 'already-patched' };
-        }
-
-        const analysis = analyzeFile(content);
-        if (!analysis) {
-            return { success: false, label, status: 'pattern-not-found' };
-        }
+export async function revertFix(fix: FixDefinition, force = false): Promise<PatchResult[]> {
+    const appRoot = getAppRoot();
+    if (!appRoot) return [];
 
-        const { enumName, confirmFn, policyVar, secureVar, useEffectFn, insertAt } = analysis;
+    const results = await engine.revertFix(fix, appRoot, { force });
+    await history.recordHistory(fix, appRoot, results, { action: 'revert', version: getVersion(appRoot) });
+    return results;
+}
 
-        // Build the patch
-        const patch = `${PATCH_MARKER}${useEffectFn}(()=>{${policyVar}===${enumName}.EAGER&&!${secureVar}&&${confirmFn}(!0)},[])`;
+/**
+ * Undo everything the fixes changed: revert every bundle, remove every
+ * backup, restore the checksums, and check the result. Same as
+ * `npx better-antigravity uninstall`.
+ *
+ * Bundles changed since they were patched (Antigravity update) are left
+ * alone unless `force` is set.
+ */
+export async function restorePristine(force = false): Promise<UninstallReport | null> {
+    const install = getInstall();
+    return install ? restoreOriginal(install, { force, version: getVersion(install.appRoot) }) : null;
+}
 
-        // Create backup (only if one doesn't exist)
-        const backup = filePath + '.ba-backup';
-        try { await fsp.access(backup); } catch {
-            await fsp.copyFile(filePath, backup);
+/**
+ * Startup: apply every enabled fix (unless applyOnStartup is off) and
+ * revert every disabled one that is still applied.
+ *
+ * `confirm` is asked before patching a fix with `prompt` on that isn't
+ * fully applied yet.
+ *
+ * @returns Array of results for each fix and file
+ */
+export async function autoApply(confirm?: (fix: FixDefinition) => Promise<boolean>): Promise<PatchResult[]> {
+    const appRoot = getAppRoot();
+    if (!appRoot) return [];
+
+    const results: PatchResult[] = [];
+    for (const fix of fixes) {
+        const options = getFixOptions(fix);
+        if (!options.enabled) {
+            if (await isApplied(fix)) results.push(...await revertFix(fix));
+            continue;
         }
-
-        // Insert
-        content = content.substring(0, insertAt) + patch + content.substring(insertAt);
-        await fsp.writeFile(filePath, content, 'utf8');
-
-        return { success: true, label, status: 'patched', bytesAdded: patch.length };
-    } catch (err: any) {
-        return { success: false, label, status: 'error', error: err.message };
+        if (!options.applyOnStartup) continue;
+        if (options.prompt && confirm && await needsPatch(fix, appRoot) && !await confirm(fix)) continue;
+        results.push(...await applyFix(fix));
     }
+    return results;
 }
 
 /**
- * Revert the auto-run patch on a single file.
+ * Whether any bundle was written, so the IDE's code caches are stale.
  */
-export function revertFile(filePath: string, label: string): PatchResult {
-    const backup = filePath + '.ba-backup';
-    if (!fs.existsSync(backup)) {
-        return { success: false, label, status: 'no-backup' };
-    }
-
-    try {
-        fs.copyFileSync(backup, filePath);
-        fs.unlinkSync(backup);
-        return { success: true, label, status: 'reverted' };
-    } catch (err: any) {
-        return { success: false, label, status: 'error', error: err.message };
-    }
+export function bundlesChanged(results: PatchResult[]): boolean {
+    return results.some(r => r.status === 'patched' || r.status === 'updated' || r.status === 'reverted');
 }
 
-export interface PatchResult {
-    success: boolean;
-    label: string;
-    status: 'patched' | 'already-patched' | 'pattern-not-found' | 'reverted' | 'no-backup' | 'error';
-    bytesAdded?: number;
-    error?: string;
+/**
+ * Clear the IDE's code caches; stale ones after a bundle changes cause a grey screen.
+ */
+export function clearCaches(): Promise<CacheReport> {
+    return cache.clearCaches(getUserDataDir());
 }
 
 /**
- * Auto-apply the fix to all target files.
- *
- * @returns Array of results for each file
+ * The IDE's user-data dir (caches, state database).
  */
-export async function autoApply(): Promise<PatchResult[]> {
-    const dir = getWorkbenchDir();
-    if (!dir) return [];
+export function getUserDataDir(): string {
+    return cache.getUserDataDir({ userDataDir, install: getInstall() });
+}
 
-    const files = getTargetFiles(dir);
-    return Promise.all(files.map(f => patchFile(f.path, f.label)));
+/**
+ * Antigravity's state database (agent settings, conversations).
+ */
+export function getStateDbPath(): string {
+    return stateDb.getStateDbPath(getUserDataDir());
 }
 
 /**
- * Revert all target files from backups.
- *
- * @returns Number of files reverted
+ * Stored agent settings next to the auto-run patch state, and what blocks
+ * auto-run. Same report as `npx better-antigravity inspect`.
  */
-export function revertAll(): PatchResult[] {
-    const dir = getWorkbenchDir();
-    if (!dir) return [];
+export async function inspectAgentSettings(): Promise<InspectReport | null> {
+    const install = getInstall();
+    return install ? inspectAutoRun(install, getUserDataDir()) : null;
+}
 
-    const files = getTargetFiles(dir);
-    return files.map(f => revertFile(f.path, f.label));
+/**
+ * Watch the target bundles and re-apply a fix when Antigravity replaces them
+ * while the IDE is running (an update). Reverted bundles are left alone, and
+ * so are fixes that are disabled or not applied on startup.
+ */
+export function watchBundles(
+    onReapplied: (event: ReappliedEvent) => void | Promise<void>,
+    onError: (err: Error) => void,
+    confirm: (fix: FixDefinition) => Promise<boolean>,
+): Watcher | null {
+    const appRoot = getAppRoot();
+    if (!appRoot) return null;
+    return watchFixes(appRoot, {
+        fixes: fixes.filter(fix => getFixOptions(fix).enabled && getFixOptions(fix).applyOnStartup),
+        settings: () => fixSettings,
+        confirm: async fix => !getFixOptions(fix).prompt || confirm(fix),
+        onReapplied,
+        onError,
+        persistent: false,
+    });
 }
@@ -8,74 +8,453 @@
 
 import * as vscode from 'vscode';
 import * as path from 'path';
-import * as fsp from 'fs/promises';
 import { AntigravitySDK } from 'antigravity-sdk';
-import { getWorkbenchDir, getTargetFiles, isPatched, revertAll } from './auto-run';
-
-/**
- * Show extension status in the output channel.
- */
-export async function status(sdk: AntigravitySDK | null, output: vscode.OutputChannel): Promise<void> {
-    const lines = [
-        '=== Better Antigravity ===',
-        '',
-        `SDK:     ${sdk?.isInitialized ? `v${sdk.version}` : 'not initialized'}`,
-        `LS:      ${sdk?.ls?.isReady ? `port ${sdk.ls.port}` : 'not ready'}`,
-        `UI:      ${sdk?.integration.isInstalled() ? 'installed' : 'not installed'}`,
-        `Titles:  ${sdk?.integration.titles.count ?? 0} custom`,
-    ];
-
-    const dir = getWorkbenchDir();
-    if (dir) {
-        const files = getTargetFiles(dir);
-        for (const f of files) {
-            const patched = await isPatched(f.path);
-            lines.push(`AutoRun: ${f.label} = ${patched ? 'fixed' : 'not fixed'}`);
-        }
+import { FixDefinition } from '../fixes';
+import {
+    getInstall, getAppRoot, previewPatch, describeAnalysis, applyFix, revertFix, isApplied, getFixOptions,
+    configSection, bundlesChanged, clearCaches, describeCacheReport, inspectAgentSettings, restorePristine, describeProblems,
+    fixes, ReappliedEvent, TargetState,
+} from './auto-run';
+import { VIEW_ID } from './status-view';
+import { runDoctor, describeStep, describeCheck, reportFileName, writeReport } from '../lib/doctor';
+import { readHistory, historyPath, formatEntry } from '../lib/history';
+import { buildIssueReport, issueReportFileName, writeIssueReport } from '../lib/report';
+
+/** History entries shown by the extension command (the file has more). */
+const HISTORY_LIMIT = 200;
+
+const ISSUES_URL = 'https://github.com/Kanezal/better-antigravity/issues';
+
+/**
+ * Show extension status: reveal the status tree view.
+ */
+export function status(): void {
+    vscode.commands.executeCommand(`${VIEW_ID}.focus`);
+}
+
+/**
+ * Print what a fix would change in one target bundle: the same preview as
+ * `--dry-run --diff` in the CLI (extracted aliases and a diff of the code
+ * that would be injected).
+ */
+export async function showPreview(fix: FixDefinition, target: TargetState, output: vscode.OutputChannel): Promise<void> {
+    const lines = [`=== ${fix.name}: ${target.label} ===`, target.path];
+
+    const preview = await previewPatch(target.path, target.label, fix);
+    if (preview.patched) {
+        lines.push('Already patched.');
+    } else if (!preview.analysis) {
+        lines.push(`Not patchable: ${preview.error}`);
     } else {
-        lines.push('AutoRun: workbench directory not found');
+        const a = preview.analysis;
+        lines.push(a.ok ? 'Patchable:' : 'May be incompatible:');
+        for (const l of describeAnalysis(a)) lines.push(`  ${l}`);
+        if (!a.ok) lines.push(`  ${a.error}`);
+        if (preview.verification && !preview.verification.ok) lines.push(`  ${preview.verification.error}`);
+        if (preview.diff) lines.push('', preview.diff);
     }
 
-    output.appendLine(lines.join('\n'));
+    output.appendLine(lines.join('\n') + '\n');
     output.show(true);
 }
 
 /**
- * Revert the auto-run fix and prompt for reload.
+ * Copy a diagnostic report (the doctor report, optionally for one fix,
+ * plus SDK and language-server health and the agent settings) to the
+ * clipboard for issue reports.
+ */
+export async function copyReport(sdk: AntigravitySDK | null, fix?: FixDefinition): Promise<void> {
+    const install = getInstall();
+    if (!install) {
+        vscode.window.showErrorMessage('Antigravity installation not found.');
+        return;
+    }
+
+    const report = await runDoctor(install);
+    if (fix) report.fixes = report.fixes.filter(f => f.id === fix.id);
+    const runtime = {
+        sdk: sdk?.isInitialized ? sdk.version : null,
+        languageServerPort: sdk?.ls?.isReady ? sdk.ls.port : null,
+        integrationInstalled: sdk?.integration.isInstalled() ?? false,
+    };
+
+    const agentSettings = !fix || fix.id === 'auto-run' ? await inspectAgentSettings() : undefined;
+
+    await vscode.env.clipboard.writeText(JSON.stringify({ ...report, runtime, agentSettings }, null, 2));
+    vscode.window.showInformationMessage('Diagnostic report copied to the clipboard.');
+}
+
+/**
+ * Reveal a backup file in the OS file manager.
+ */
+export function openBackup(target: TargetState): void {
+    if (target.backup) vscode.commands.executeCommand('revealFileInOS', vscode.Uri.file(target.backup));
+}
+
+/**
+ * Apply a fix from its command and prompt for reload.
+ *
+ * A fix turned off in the settings is not applied; the user is offered to
+ * turn it on instead (which applies it through the settings handler).
+ */
+export async function applyFixCommand(fix: FixDefinition, log: (msg: string) => void): Promise<void> {
+    if (!getAppRoot()) {
+        vscode.window.showErrorMessage('Antigravity installation not found.');
+        return;
+    }
+    if (!getFixOptions(fix).enabled) {
+        const action = await vscode.window.showWarningMessage(`${fix.name} is turned off in the settings.`, 'Turn On');
+        if (action === 'Turn On') await setFixEnabled(fix, true);
+        return;
+    }
+
+    const results = await applyFix(fix);
+    for (const r of results) {
+        log(`[${r.fix}] ${r.label}: ${r.status}${r.error ? ` -- ${r.error}` : ''}`);
+    }
+
+    const failed = results.filter(r => !r.success);
+    if (failed.length > 0) {
+        const unsupported = results.some(r => r.status === 'pattern-not-found');
+        const action = await vscode.window.showWarningMessage(
+            `${fix.name} could not be applied: ${failed[0].error}`,
+            ...(unsupported ? ['Create Issue Report'] : []),
+        );
+        if (action === 'Create Issue Report') vscode.commands.executeCommand('better-antigravity.issueReport');
+        return;
+    }
+    if (!bundlesChanged(results)) {
+        vscode.window.showInformationMessage(`${fix.name} is already applied.`);
+        return;
+    }
+
+    await clearAndLogCaches(log);
+    const action = await vscode.window.showInformationMessage(`${fix.name} applied. Reload to use it.`, 'Reload Now');
+    if (action === 'Reload Now') {
+        vscode.commands.executeCommand('workbench.action.reloadWindow');
+    }
+}
+
+/**
+ * Revert a fix and prompt for reload.
  *
  * Also clears V8 Code Cache to prevent stale cached patched code
  * from being loaded by Electron (which causes grey screen).
  */
-export async function revertAutoRun(): Promise<void> {
-    const dir = getWorkbenchDir();
-    if (!dir) {
-        vscode.window.showErrorMessage('Workbench directory not found.');
+export async function revertFixCommand(fix: FixDefinition, log: (msg: string) => void): Promise<void> {
+    if (!getAppRoot()) {
+        vscode.window.showErrorMessage('Antigravity installation not found.');
         return;
     }
 
-    const results = revertAll();
+    const results = await revertFix(fix);
+
+    // Backups from an older Antigravity version would downgrade the bundle
+    const stale = results.filter(r => r.status === 'stale-backup');
+    if (stale.length > 0) {
+        const action = await vscode.window.showWarningMessage(
+            `${stale.map(r => r.label).join(', ')}: ${stale[0].error}. Restoring the old backup may break Antigravity.`,
+            'Revert Anyway',
+        );
+        if (action === 'Revert Anyway') {
+            // Only the stale files still have backups at this point
+            results.push(...await revertFix(fix, true));
+        }
+    }
+
     const reverted = results.filter(r => r.status === 'reverted').length;
 
     if (reverted > 0) {
-        // Clear V8 Code Cache — stale cache after revert causes grey screen
-        const appData = process.env.APPDATA || '';
-        const cacheDirs = [
-            path.join(appData, 'Antigravity', 'CachedData'),
-            path.join(appData, 'Antigravity', 'GPUCache'),
-            path.join(appData, 'Antigravity', 'Code Cache'),
-        ];
-        for (const d of cacheDirs) {
-            try { await fsp.rm(d, { recursive: true, force: true }); } catch { /* may not exist */ }
-        }
+        const caches = await clearAndLogCaches(log);
+        const cleared = caches.errors.length > 0 ? 'Some caches could not be cleared' : 'Caches cleared';
+
+        // Still on: the next startup would apply it again
+        const options = getFixOptions(fix);
+        const keep = options.enabled && options.applyOnStartup ? ['Keep Reverted'] : [];
 
         const action = await vscode.window.showInformationMessage(
-            `Auto-run fix reverted (${reverted} file(s)). Caches cleared. Reload to apply.`,
+            `${fix.name} reverted (${reverted} file(s)). ${cleared}. Reload to apply.`,
             'Reload Now',
+            ...keep,
         );
-        if (action === 'Reload Now') {
+        if (action === 'Keep Reverted') {
+            await setFixEnabled(fix, false);
+        } else if (action === 'Reload Now') {
             vscode.commands.executeCommand('workbench.action.reloadWindow');
         }
     } else {
         vscode.window.showInformationMessage('No backups found. Nothing to revert.');
     }
 }
+
+/**
+ * Restore a pristine Antigravity: remove the SDK integration, revert every
+ * fix, remove every backup, restore the checksums and clear the caches
+ * (same as `npx better-antigravity uninstall`), then check the result.
+ *
+ * Every fix is turned off so the next startup doesn't patch again; the
+ * user is offered to uninstall the extension.
+ */
+export async function restoreOriginal(
+    sdk: AntigravitySDK | null,
+    output: vscode.OutputChannel,
+    log: (msg: string) => void,
+    extensionId: string,
+): Promise<void> {
+    if (!getAppRoot()) {
+        vscode.window.showErrorMessage('Antigravity installation not found.');
+        return;
+    }
+    const confirm = await vscode.window.showWarningMessage(
+        'Restore the original Antigravity? Every fix is reverted and turned off, all backups are removed, and the SDK integration is uninstalled.',
+        { modal: true },
+        'Restore',
+    );
+    if (confirm !== 'Restore') return;
+
+    // Shared with other SDK-based extensions: only the SDK knows when to restore workbench.html
+    if (sdk?.isInitialized && sdk.integration.isInstalled()) {
+        try {
+            await sdk.integration.uninstall();
+            log('SDK integration uninstalled');
+        } catch (err: any) {
+            log(`Could not uninstall the SDK integration: ${err.message}`);
+        }
+    }
+
+    let report = await restorePristine();
+    if (!report) return;
+    if (report.targets.some(t => t.stale)) {
+        const action = await vscode.window.showWarningMessage(
+            'Some bundles changed since they were patched; Antigravity was probably updated. Restoring the old backups may break Antigravity.',
+            'Restore Anyway',
+        );
+        if (action === 'Restore Anyway') report = await restorePristine(true) ?? report;
+    }
+
+    for (const fix of fixes) {
+        if (getFixOptions(fix).enabled) await setFixEnabled(fix, false);
+    }
+
+    const lines = ['=== Better Antigravity: Restore Original ===', '', `Install: ${report.installDir}`];
+    for (const t of report.targets) {
+        if (t.reverted) lines.push(`+ [${t.label}] restored ${t.path}`);
+        for (const file of t.removed) lines.push(`+ removed ${file}`);
+    }
+    const problems = describeProblems(report);
+    for (const p of problems) lines.push(`x ${p}`);
+    if (problems.length === 0) lines.push(`+ ${report.checksums.length} product.json checksum(s) match`);
+    output.appendLine(lines.join('\n') + '\n');
+
+    if (report.targets.some(t => t.reverted)) await clearAndLogCaches(log);
+
+    if (problems.length > 0) {
+        const action = await vscode.window.showWarningMessage(`Antigravity is not fully restored: ${problems[0]}`, 'Show Details');
+        if (action === 'Show Details') output.show(true);
+        return;
+    }
+    const action = await vscode.window.showInformationMessage(
+        'Antigravity is back to original. Uninstall Better Antigravity now, or it sets up the SDK integration again on the next start.',
+        'Uninstall Extension',
+        'Reload Now',
+    );
+    if (action === 'Uninstall Extension') {
+        await vscode.commands.executeCommand('workbench.extensions.uninstallExtension', extensionId);
+        vscode.commands.executeCommand('workbench.action.reloadWindow');
+    } else if (action === 'Reload Now') {
+        vscode.commands.executeCommand('workbench.action.reloadWindow');
+    }
+}
+
+/**
+ * Ask before patching a fix with `prompt` on (startup, after an update).
+ * "Never" turns the fix off.
+ */
+export async function confirmPatch(fix: FixDefinition): Promise<boolean> {
+    const action = await vscode.window.showInformationMessage(
+        `${fix.name}: ${fix.description}. Patch Antigravity to fix it?`,
+        'Apply',
+        'Not Now',
+        'Never',
+    );
+    if (action === 'Never') await setFixEnabled(fix, false);
+    return action === 'Apply';
+}
+
+/**
+ * Turn a fix on or off in the user settings.
+ */
+function setFixEnabled(fix: FixDefinition, enabled: boolean): Thenable<void> {
+    return vscode.workspace.getConfiguration('betterAntigravity')
+        .update(`${configSection(fix)}.enabled`, enabled, vscode.ConfigurationTarget.Global);
+}
+
+/**
+ * Clear the IDE's code caches after bundles changed and log what was removed.
+ */
+export async function clearAndLogCaches(log: (msg: string) => void) {
+    const report = await clearCaches();
+    log(`Caches in ${report.userDataDir}: ${describeCacheReport(report)}`);
+    for (const e of report.errors) log(`Could not remove ${e.name}: ${e.error}`);
+    return report;
+}
+
+/**
+ * Re-apply a fix after its settings changed and prompt for reload.
+ *
+ * Only an applied fix is re-patched; bundles patched with the old
+ * settings come back as `updated`.
+ */
+export async function reapplyFix(fix: FixDefinition, log: (msg: string) => void): Promise<void> {
+    if (!getFixOptions(fix).enabled || !await isApplied(fix)) return;
+
+    const results = await applyFix(fix);
+    for (const r of results) {
+        log(`[${r.fix}] ${r.label}: ${r.status}${r.error ? ` -- ${r.error}` : ''}`);
+    }
+
+    const failed = results.filter(r => !r.success);
+    if (failed.length > 0) {
+        vscode.window.showWarningMessage(`Could not apply the new settings: ${failed[0].error}`);
+        return;
+    }
+    if (bundlesChanged(results)) {
+        await clearAndLogCaches(log);
+        const action = await vscode.window.showInformationMessage(
+            `${fix.name} settings applied. Reload to use them.`,
+            'Reload Now',
+        );
+        if (action === 'Reload Now') {
+            vscode.commands.executeCommand('workbench.action.reloadWindow');
+        }
+    }
+}
+
+/**
+ * Report a fix the watcher re-applied after an Antigravity update and prompt for reload.
+ */
+export async function reportReapplied(event: ReappliedEvent, log: (msg: string) => void): Promise<void> {
+    log(`[${event.fix.id}] Antigravity replaced ${event.replaced.join(', ')} (now ${event.version})`);
+    for (const r of event.results) {
+        log(`[${r.fix}] ${r.label}: ${r.status}${r.error ? ` -- ${r.error}` : ''}`);
+    }
+
+    const failed = event.results.filter(r => !r.success);
+    if (failed.length > 0) {
+        vscode.window.showWarningMessage(
+            `Antigravity was updated and ${event.fix.name} could not be re-applied: ${failed[0].error}. ` +
+            'Run "Better Antigravity: Run Compatibility Doctor" for details.',
+        );
+        return;
+    }
+    if (!bundlesChanged(event.results)) return;
+
+    await clearAndLogCaches(log);
+    const action = await vscode.window.showInformationMessage(
+        `Antigravity was updated to ${event.version}. ${event.fix.name} re-applied. Reload to use it.`,
+        'Reload Now',
+    );
+    if (action === 'Reload Now') {
+        vscode.commands.executeCommand('workbench.action.reloadWindow');
+    }
+}
+
+/**
+ * Run every fix's signature steps against the installed bundles without
+ * patching, print the results and save the JSON report (same as `doctor` in the CLI).
+ */
+export async function doctor(output: vscode.OutputChannel, storageDir: string): Promise<void> {
+    const install = getInstall();
+    if (!install) {
+        vscode.window.showErrorMessage('Antigravity installation not found.');
+        return;
+    }
+
+    const report = await runDoctor(install);
+    const lines = ['=== Better Antigravity Doctor ===', '', `Install: ${install.installDir}`, `Version: ${report.install.version}`];
+    for (const fix of report.fixes) {
+        lines.push('', `${fix.id}: ${fix.compatible ? 'compatible' : 'INCOMPATIBLE'}`);
+        for (const t of fix.targets) {
+            lines.push(`  [${t.label}] ${t.path}${t.patched ? ' (patched)' : ''}`);
+            for (const s of t.steps ?? []) {
+                lines.push(`    ${s.status === 'ok' ? '+' : s.status === 'failed' ? 'x' : '-'} ${describeStep(s)}`);
+            }
+            for (const c of t.verification ?? []) {
+                lines.push(`    ${c.skipped ? '-' : c.ok ? '+' : 'x'} ${describeCheck(c)}`);
+            }
+            if (t.error && !t.steps) lines.push(`    x ${t.error}`);
+        }
+    }
+
+    const file = path.join(storageDir, reportFileName(report));
+    writeReport(report, file);
+    lines.push('', `Report: ${file}`);
+
+    output.appendLine(lines.join('\n'));
+    output.show(true);
+
+    const action = await vscode.window.showInformationMessage(
+        report.compatible ? 'All fixes are compatible with this build.' : 'Some signatures no longer match this build.',
+        'Open Report',
+        ...(report.compatible ? [] : ['Create Issue Report']),
+    );
+    if (action === 'Open Report') {
+        vscode.window.showTextDocument(vscode.Uri.file(file));
+    } else if (action === 'Create Issue Report') {
+        await issueReport(storageDir);
+    }
+}
+
+/**
+ * Write the sanitized signature report (same as `report` in the CLI) and
+ * open it, for attaching to a GitHub issue.
+ */
+export async function issueReport(storageDir: string): Promise<void> {
+    const install = getInstall();
+    if (!install) {
+        vscode.window.showErrorMessage('Antigravity installation not found.');
+        return;
+    }
+
+    const report = await buildIssueReport(install);
+    const file = path.join(storageDir, issueReportFileName(report));
+    writeIssueReport(report, file);
+    await vscode.window.showTextDocument(vscode.Uri.file(file));
+
+    if (report.compatible) {
+        vscode.window.showInformationMessage('All fixes are compatible with this build; the report has nothing to diagnose.');
+        return;
+    }
+    const action = await vscode.window.showInformationMessage(
+        'Issue report created. It has short excerpts around the anchors, never whole bundles.',
+        'Open Issues',
+        'Reveal File',
+    );
+    if (action === 'Open Issues') vscode.env.openExternal(vscode.Uri.parse(ISSUES_URL));
+    if (action === 'Reveal File') vscode.commands.executeCommand('revealFileInOS', vscode.Uri.file(file));
+}
+
+/**
+ * Print the patch history (both tools) to the output channel, same as
+ * `history` in the CLI.
+ */
+export async function showHistory(output: vscode.OutputChannel): Promise<void> {
+    const entries = readHistory({ limit: HISTORY_LIMIT });
+    const lines = ['=== Better Antigravity History ===', '', `File: ${historyPath()}`, ''];
+    let lastVersion: string | null = null;
+    for (const e of entries) {
+        if (lastVersion && e.ideVersion !== lastVersion) lines.push(`-- Antigravity ${lastVersion} -> ${e.ideVersion} --`);
+        lastVersion = e.ideVersion;
+        lines.push(`${e.success ? '+' : 'x'} ${formatEntry(e)}`);
+    }
+    if (entries.length === 0) lines.push('No history yet.');
+
+    output.appendLine(lines.join('\n') + '\n');
+    output.show(true);
+
+    if (entries.length === 0) return;
+    const action = await vscode.window.showInformationMessage(`Showing the last ${entries.length} history entries.`, 'Open File');
+    if (action === 'Open File') {
+        vscode.window.showTextDocument(vscode.Uri.file(historyPath()));
+    }
+}
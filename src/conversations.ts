@@ -0,0 +1,84 @@
+/**
+ * Better Antigravity — conversation export command.
+ *
+ * Same export as `npx better-antigravity export` (lib/conversations.js),
+ * with the title proxy's custom titles as file names.
+ *
+ * @module conversations
+ */
+
+import * as vscode from 'vscode';
+import { AntigravitySDK } from 'antigravity-sdk';
+import { getStateDbPath, openStateDb } from '../lib/state-db';
+import { listConversations, titleOf, exportConversations, Conversation } from '../lib/conversations';
+import { getUserDataDir } from './auto-run';
+import { getCustomTitles } from './titles';
+
+interface ConversationPick extends vscode.QuickPickItem {
+    conversation?: Conversation;
+}
+
+/**
+ * Pick one or all conversations and a format, then write them to a folder.
+ */
+export async function exportConversation(sdk: AntigravitySDK | null, log: (msg: string) => void): Promise<void> {
+    const dbPath = getStateDbPath(getUserDataDir());
+    let conversations: Conversation[];
+    try {
+        const db = await openStateDb(dbPath);
+        try {
+            conversations = listConversations(db);
+        } finally {
+            db.close();
+        }
+    } catch (err: any) {
+        vscode.window.showErrorMessage(`Could not read conversations: ${err.message}`);
+        return;
+    }
+    if (conversations.length === 0) {
+        vscode.window.showInformationMessage(`No conversations found in ${dbPath}.`);
+        return;
+    }
+
+    const titles = getCustomTitles(sdk);
+    const items: ConversationPick[] = [
+        { label: '$(files) All conversations', description: `${conversations.length} conversation(s)` },
+        { label: '', kind: vscode.QuickPickItemKind.Separator },
+        ...conversations.map(c => ({
+            label: titleOf(c, titles),
+            description: `${c.steps.length} steps`,
+            detail: c.updatedAt ? `${c.id} · ${c.updatedAt}` : c.id,
+            conversation: c,
+        })),
+    ];
+    const picked = await vscode.window.showQuickPick(items, { placeHolder: 'Conversation to export', matchOnDetail: true });
+    if (!picked) return;
+
+    const format = await vscode.window.showQuickPick(
+        [
+            { label: 'Markdown', description: 'readable, for code review', format: 'md' as const },
+            { label: 'JSON', description: 'every step as stored, for archiving', format: 'json' as const },
+        ],
+        { placeHolder: 'Export format' },
+    );
+    if (!format) return;
+
+    const [folder] = await vscode.window.showOpenDialog({
+        canSelectFiles: false,
+        canSelectFolders: true,
+        openLabel: 'Export Here',
+    }) ?? [];
+    if (!folder) return;
+
+    const selected = picked.conversation ? [picked.conversation] : conversations;
+    const written = await exportConversations(selected, { outDir: folder.fsPath, format: format.format, titles });
+    for (const w of written) log(`Exported ${w.id} -> ${w.file}`);
+
+    if (written.length === 1) {
+        const action = await vscode.window.showInformationMessage(`Exported "${written[0].title}".`, 'Open');
+        if (action === 'Open') vscode.window.showTextDocument(vscode.Uri.file(written[0].file));
+    } else {
+        const action = await vscode.window.showInformationMessage(`Exported ${written.length} conversations.`, 'Reveal Folder');
+        if (action === 'Reveal Folder') vscode.commands.executeCommand('revealFileInOS', vscode.Uri.file(written[0].file));
+    }
+}
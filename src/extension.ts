@@ -7,12 +7,26 @@
  */
 
 import * as vscode from 'vscode';
+import * as path from 'path';
 import { AntigravitySDK } from 'antigravity-sdk';
-import { autoApply } from './auto-run';
-import { status, revertAutoRun } from './commands';
+import {
+    fixes, autoApply, setInstallOptions, setFixSettings, setFixOptions, getFixOptions, configSection, isApplied,
+    setUserDataDir, getAppRoot, bundlesChanged, watchBundles, Watcher,
+} from './auto-run';
+import {
+    status, showPreview, copyReport, openBackup, applyFixCommand, revertFixCommand, confirmPatch, doctor, reapplyFix,
+    clearAndLogCaches, reportReapplied, showHistory, issueReport, restoreOriginal,
+} from './commands';
+import { StatusTreeProvider, StatusNode, VIEW_ID } from './status-view';
+import { renameConversation, manageTitles, resetTitles, exportTitles, importTitles } from './titles';
+import { exportConversation } from './conversations';
+
+/** Extension options every fix has (betterAntigravity.<fix>.*); other keys are fix settings. */
+const FIX_OPTION_KEYS = ['enabled', 'applyOnStartup', 'prompt'];
 
 let sdk: AntigravitySDK | null = null;
 let output: vscode.OutputChannel;
+let watcher: Watcher | null = null;
 
 function log(msg: string): void {
     const ts = new Date().toISOString().substring(11, 19);
@@ -24,24 +38,177 @@ export async function activate(context: vscode.ExtensionContext) {
     context.subscriptions.push(output);
     log('Activating...');
 
+    // ── Status view ──────────────────────────────────────────────────
+    const tree = new StatusTreeProvider(() => sdk);
+    const view = vscode.window.createTreeView(VIEW_ID, { treeDataProvider: tree });
+    tree.setVisible(view.visible);
+    context.subscriptions.push(tree, view, view.onDidChangeVisibility(e => tree.setVisible(e.visible)));
+
     // ── Commands ──────────────────────────────────────────────────────
     context.subscriptions.push(
-        vscode.commands.registerCommand('better-antigravity.status', () => status(sdk, output)),
-        vscode.commands.registerCommand('better-antigravity.revertAutoRun', revertAutoRun),
+        vscode.commands.registerCommand('better-antigravity.status', status),
+        vscode.commands.registerCommand('better-antigravity.doctor', () => doctor(output, context.globalStorageUri.fsPath)),
+        vscode.commands.registerCommand('better-antigravity.issueReport', () => issueReport(context.globalStorageUri.fsPath)),
+        vscode.commands.registerCommand('better-antigravity.refreshStatus', () => tree.refresh()),
+        vscode.commands.registerCommand('better-antigravity.showHistory', () => showHistory(output)),
+        vscode.commands.registerCommand('better-antigravity.exportConversation', () => exportConversation(sdk, log)),
+        vscode.commands.registerCommand('better-antigravity.copyReport', (node?: StatusNode) =>
+            copyReport(sdk, node?.kind === 'fix' ? node.fix : undefined)),
+        vscode.commands.registerCommand('better-antigravity.restoreOriginal', async () => {
+            await restoreOriginal(sdk, output, log, context.extension.id);
+            tree.refresh();
+        }),
+    );
+
+    // Chat titles (the view shows how many there are)
+    context.subscriptions.push(
+        ...Object.entries({
+            renameChat: renameConversation,
+            manageTitles,
+            resetTitles,
+            exportTitles,
+            importTitles,
+        }).map(([name, handler]) => vscode.commands.registerCommand(`better-antigravity.${name}`, async () => {
+            await handler(sdk);
+            tree.refresh();
+        })),
     );
 
-    // ── Auto-Run Fix (async, non-blocking, no prompt) ─────────────────
-    autoApply().then(fixResults => {
-        for (const r of fixResults) {
-            log(`[auto-run] ${r.label}: ${r.status}${r.bytesAdded ? ` (+${r.bytesAdded}b)` : ''}${r.error ? ` -- ${r.error}` : ''}`);
+    // Inline actions of the status view, called with the clicked node
+    context.subscriptions.push(
+        vscode.commands.registerCommand('better-antigravity.view.apply', (node: StatusNode) => {
+            if (node.kind === 'fix') applyFixCommand(node.fix, log);
+        }),
+        vscode.commands.registerCommand('better-antigravity.view.revert', (node: StatusNode) => {
+            if (node.kind === 'fix') revertFixCommand(node.fix, log);
+        }),
+        vscode.commands.registerCommand('better-antigravity.view.openBackup', (node: StatusNode) => {
+            if (node.kind === 'target') openBackup(node.target);
+        }),
+        vscode.commands.registerCommand('better-antigravity.view.preview', (node: StatusNode) => {
+            if (node.kind === 'target') showPreview(node.fix, node.target, output);
+        }),
+    );
+
+    // better-antigravity.apply<Fix> / revert<Fix>, e.g. applyAutoRun
+    for (const fix of fixes) {
+        const name = configSection(fix).replace(/^\w/, c => c.toUpperCase());
+        context.subscriptions.push(
+            vscode.commands.registerCommand(`better-antigravity.apply${name}`, () => applyFixCommand(fix, log)),
+            vscode.commands.registerCommand(`better-antigravity.revert${name}`, () => revertFixCommand(fix, log)),
+        );
+    }
+
+    // ── Installation ─────────────────────────────────────────────────
+    const readInstallSettings = () => {
+        const installPath = vscode.workspace.getConfiguration('betterAntigravity').get<string>('installPath', '');
+        setInstallOptions({ explicitPath: installPath || undefined, appRoot: vscode.env.appRoot });
+        if (installPath && !getAppRoot()) {
+            log(`betterAntigravity.installPath "${installPath}" is not an Antigravity installation`);
+        }
+    };
+    readInstallSettings();
+    // globalStorageUri is <user-data-dir>/User/globalStorage/<extension id>
+    setUserDataDir(path.resolve(context.globalStorageUri.fsPath, '..', '..', '..'));
+
+    // ── Bundle watcher (re-apply after Antigravity updates) ───────────
+    const startWatcher = () => {
+        watcher?.close();
+        watcher = watchBundles(
+            event => {
+                tree.refresh();
+                return reportReapplied(event, log);
+            },
+            err => log(`Watcher: ${err.message}`),
+            confirmPatch,
+        );
+    };
+    context.subscriptions.push({ dispose: () => watcher?.close() });
+
+    // ── Fix options (enabled, applyOnStartup, prompt) ─────────────────
+    const readFixOptions = () => {
+        const config = vscode.workspace.getConfiguration('betterAntigravity');
+        setFixOptions(Object.fromEntries(fixes.map(fix => {
+            const section = configSection(fix);
+            return [fix.id, {
+                enabled: config.get<boolean>(`${section}.enabled`, true),
+                applyOnStartup: config.get<boolean>(`${section}.applyOnStartup`, true),
+                prompt: config.get<boolean>(`${section}.prompt`, false),
+            }];
+        })));
+    };
+    readFixOptions();
+
+    // ── Fix settings (baked into the patch, so changes re-patch) ───────
+    const readFixSettings = () => {
+        const config = vscode.workspace.getConfiguration('betterAntigravity');
+        setFixSettings({
+            'auto-run': {
+                allow: config.get<string[]>('autoRun.allow', []),
+                deny: config.get<string[]>('autoRun.deny', []),
+            },
+        });
+    };
+    readFixSettings();
+
+    context.subscriptions.push(vscode.workspace.onDidChangeConfiguration(async e => {
+        if (e.affectsConfiguration('betterAntigravity.installPath')) {
+            readInstallSettings();
+            startWatcher();
+            tree.refresh();
+        }
+        for (const fix of fixes) {
+            const section = `betterAntigravity.${configSection(fix)}`;
+            if (!e.affectsConfiguration(section)) continue;
+            readFixOptions();
+            readFixSettings();
+            startWatcher();
+            tree.refresh();
+
+            if (e.affectsConfiguration(`${section}.enabled`)) {
+                // Turned off: revert now rather than on the next startup
+                if (getFixOptions(fix).enabled) applyFixCommand(fix, log);
+                else if (await isApplied(fix)) revertFixCommand(fix, log);
+            } else if (!FIX_OPTION_KEYS.some(key => e.affectsConfiguration(`${section}.${key}`))) {
+                reapplyFix(fix, log);
+            }
+        }
+    }));
+
+    // ── Fixes (async, non-blocking; asks only for fixes with prompt on) ─
+    const applyOnStartup = async () => {
+        try {
+            const fixResults = await autoApply(confirmPatch);
+            for (const r of fixResults) {
+                log(`[${r.fix}] ${r.label}: ${r.status}${r.bytesAdded ? ` (+${r.bytesAdded}b)` : ''}${r.error ? ` -- ${r.error}` : ''}`);
+            }
+            if (bundlesChanged(fixResults)) await clearAndLogCaches(log);
+            return fixResults;
+        } finally {
+            // Even when applying failed: updates must still be caught
+            startWatcher();
+            tree.refresh();
+        }
+    };
+    applyOnStartup().then(async fixResults => {
+        // Disabled fixes still applied from an earlier session were reverted
+        if (fixResults.some(r => r.status === 'reverted')) {
+            const action = await vscode.window.showInformationMessage(
+                'Turned-off fixes were reverted. Reload to use the original Antigravity code.',
+                'Reload Now',
+            );
+            if (action === 'Reload Now') {
+                vscode.commands.executeCommand('workbench.action.reloadWindow');
+            }
         }
-    });
+    }).catch((err: Error) => log(`Applying fixes on startup failed: ${err.message}`));
 
     // ── SDK Init ─────────────────────────────────────────────────────
     try {
         sdk = new AntigravitySDK(context);
         await sdk.initialize();
         log(`SDK v${sdk.version} initialized`);
+        tree.refresh();
 
         // Title proxy for chat rename
         sdk.integration.enableTitleProxy();
@@ -0,0 +1,229 @@
+/**
+ * Better Antigravity — status tree view.
+ *
+ * One node per fix with its target bundles (patched / patchable /
+ * incompatible, backup and the IDE version it was taken from), an Agent
+ * Settings node with the stored settings that decide whether auto-run fires
+ * (lib/inspect.js), and a Runtime node with SDK and language-server health.
+ * Inline actions on the nodes are the commands registered in extension.ts.
+ *
+ * While the view is visible the target bundles are polled (fs.watchFile,
+ * same reasoning as lib/watch.js), so the tree follows patches made by the
+ * CLI, the watcher or an Antigravity update.
+ *
+ * @module status-view
+ */
+
+import * as vscode from 'vscode';
+import * as fs from 'fs';
+import { AntigravitySDK } from 'antigravity-sdk';
+import { FixDefinition } from '../fixes';
+import {
+    fixes, checkFix, getFixOptions, inspectAgentSettings, describePolicy, getStateDbPath, TargetState, InspectReport,
+} from './auto-run';
+
+export const VIEW_ID = 'better-antigravity.statusView';
+
+const POLL_INTERVAL = 2_000;
+const REFRESH_DELAY = 300;
+
+export type StatusNode =
+    | { kind: 'fix'; fix: FixDefinition; targets: TargetState[] }
+    | { kind: 'target'; fix: FixDefinition; target: TargetState }
+    | { kind: 'agent'; report: InspectReport }
+    | { kind: 'runtime' }
+    | { kind: 'info'; label: string; description: string; ok: boolean };
+
+type FixState = 'applied' | 'partial' | 'not-applied' | 'incompatible' | 'not-found';
+
+function fixState(targets: TargetState[]): FixState {
+    const found = targets.filter(t => t.exists);
+    if (found.length === 0) return 'not-found';
+    // Bundles this build doesn't have are skipped when patching
+    const patched = found.filter(t => t.patched).length;
+    if (patched === found.length) return 'applied';
+    if (found.some(t => !t.patched && !t.patchable)) return patched > 0 ? 'partial' : 'incompatible';
+    return patched > 0 ? 'partial' : 'not-applied';
+}
+
+const FIX_STATE_LABELS: Record<FixState, string> = {
+    'applied': 'applied',
+    'partial': 'partially applied',
+    'not-applied': 'not applied',
+    'incompatible': 'incompatible with this build',
+    'not-found': 'bundles not found',
+};
+
+function fixIcon(state: FixState): vscode.ThemeIcon {
+    switch (state) {
+        case 'applied': return new vscode.ThemeIcon('pass-filled', new vscode.ThemeColor('testing.iconPassed'));
+        case 'not-applied': return new vscode.ThemeIcon('circle-large-outline');
+        case 'partial': return new vscode.ThemeIcon('warning', new vscode.ThemeColor('list.warningForeground'));
+        default: return new vscode.ThemeIcon('error', new vscode.ThemeColor('list.errorForeground'));
+    }
+}
+
+function targetState(t: TargetState): string {
+    if (!t.exists) return 'not found';
+    if (t.patched) return 'patched';
+    return t.patchable ? 'patchable' : 'incompatible';
+}
+
+function targetTooltip(t: TargetState): vscode.MarkdownString {
+    const md = new vscode.MarkdownString();
+    md.appendMarkdown(`**${t.label}**: ${targetState(t)}\n\n`);
+    md.appendCodeblock(t.path, 'text');
+    const failed = t.analysis?.steps.find(s => !s.ok && !s.skipped && !s.optional);
+    if (failed) md.appendMarkdown(`\n\nFailed step: ${failed.description}`);
+    if (t.error) md.appendMarkdown(`\n\n${t.error}`);
+    if (t.backup) md.appendMarkdown(`\n\nBackup (${t.backupVersion ?? 'no manifest'}): \`${t.backup}\``);
+    return md;
+}
+
+export class StatusTreeProvider implements vscode.TreeDataProvider<StatusNode>, vscode.Disposable {
+    private readonly changed = new vscode.EventEmitter<StatusNode | undefined>();
+    readonly onDidChangeTreeData = this.changed.event;
+
+    private polled: string[] = [];
+    /** Last agent settings report, with the state it was made from */
+    private agent: { key: string; report: InspectReport | null } | undefined;
+    private timer: ReturnType<typeof setTimeout> | undefined;
+    private readonly onFileChange = () => this.refresh();
+
+    constructor(private readonly getSdk: () => AntigravitySDK | null) {}
+
+    /** Refresh the tree, coalescing bursts (e.g. both bundles of a fix). */
+    refresh(): void {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.changed.fire(undefined), REFRESH_DELAY);
+    }
+
+    /** Poll the target bundles while the view is visible. */
+    setVisible(visible: boolean): void {
+        this.unwatch();
+        if (!visible) return;
+        this.refresh();
+    }
+
+    getTreeItem(node: StatusNode): vscode.TreeItem {
+        switch (node.kind) {
+            case 'fix': {
+                const state = fixState(node.targets);
+                const item = new vscode.TreeItem(node.fix.name, vscode.TreeItemCollapsibleState.Expanded);
+                item.id = `fix:${node.fix.id}`;
+                item.description = getFixOptions(node.fix).enabled ? FIX_STATE_LABELS[state] : `${FIX_STATE_LABELS[state]} (turned off)`;
+                item.tooltip = node.fix.description;
+                item.iconPath = fixIcon(state);
+                // fix.<state>: which of apply / revert the inline actions offer
+                item.contextValue = `fix.${state}`;
+                return item;
+            }
+            case 'target': {
+                const t = node.target;
+                const item = new vscode.TreeItem(t.label, vscode.TreeItemCollapsibleState.None);
+                item.id = `target:${node.fix.id}:${t.label}`;
+                item.description = t.backup ? `${targetState(t)} · backup ${t.backupVersion ?? '(legacy)'}` : targetState(t);
+                item.tooltip = targetTooltip(t);
+                item.iconPath = new vscode.ThemeIcon(t.patched ? 'check' : t.patchable ? 'circle-outline' : 'close');
+                item.contextValue = t.backup ? 'target.backup' : 'target';
+                return item;
+            }
+            case 'agent': {
+                const { report } = node;
+                const item = new vscode.TreeItem('Agent Settings', vscode.TreeItemCollapsibleState.Collapsed);
+                item.id = 'agent';
+                item.description = report.ok ? 'auto-run can fire' : `${report.blockers.length} blocker(s)`;
+                item.tooltip = report.error ?? report.stateDb;
+                item.iconPath = report.ok
+                    ? new vscode.ThemeIcon('settings-gear')
+                    : new vscode.ThemeIcon('warning', new vscode.ThemeColor('list.warningForeground'));
+                return item;
+            }
+            case 'runtime': {
+                const item = new vscode.TreeItem('Runtime', vscode.TreeItemCollapsibleState.Collapsed);
+                item.id = 'runtime';
+                item.iconPath = new vscode.ThemeIcon('pulse');
+                return item;
+            }
+            case 'info': {
+                const item = new vscode.TreeItem(node.label, vscode.TreeItemCollapsibleState.None);
+                item.description = node.description;
+                item.tooltip = `${node.label}: ${node.description}`;
+                item.iconPath = new vscode.ThemeIcon(node.ok ? 'check' : 'circle-slash');
+                return item;
+            }
+        }
+    }
+
+    async getChildren(node?: StatusNode): Promise<StatusNode[]> {
+        if (!node) {
+            const nodes: StatusNode[] = [];
+            for (const fix of fixes) nodes.push({ kind: 'fix', fix, targets: await checkFix(fix) });
+            this.watch(nodes.flatMap(n => n.kind === 'fix' ? n.targets.map(t => t.path) : []));
+            const autoRun = nodes.find(n => n.kind === 'fix' && n.fix.id === 'auto-run');
+            const report = await this.agentSettings(autoRun?.kind === 'fix' ? autoRun.targets : []);
+            if (report) nodes.push({ kind: 'agent', report });
+            nodes.push({ kind: 'runtime' });
+            return nodes;
+        }
+        if (node.kind === 'fix') {
+            return node.targets.map(target => ({ kind: 'target', fix: node.fix, target }));
+        }
+        if (node.kind === 'agent') {
+            const { report } = node;
+            return [
+                { kind: 'info', label: 'Terminal execution policy', description: describePolicy(report), ok: report.policy?.name === 'EAGER' },
+                { kind: 'info', label: 'Secure mode', description: report.secureMode === null ? 'not set' : report.secureMode ? 'on' : 'off', ok: !report.secureMode },
+                ...report.flags.map((f): StatusNode => ({ kind: 'info', label: f.name, description: JSON.stringify(f.value), ok: true })),
+                ...report.blockers.map((b): StatusNode => ({ kind: 'info', label: 'Blocks auto-run', description: b, ok: false })),
+                ...report.warnings.map((w): StatusNode => ({ kind: 'info', label: 'Warning', description: w, ok: false })),
+            ];
+        }
+        if (node.kind === 'runtime') {
+            const sdk = this.getSdk();
+            return [
+                { kind: 'info', label: 'SDK', description: sdk?.isInitialized ? `v${sdk.version}` : 'not initialized', ok: !!sdk?.isInitialized },
+                { kind: 'info', label: 'Language server', description: sdk?.ls?.isReady ? `port ${sdk.ls.port}` : 'not ready', ok: !!sdk?.ls?.isReady },
+                { kind: 'info', label: 'Integration', description: sdk?.integration.isInstalled() ? 'installed' : 'not installed', ok: !!sdk?.integration.isInstalled() },
+                { kind: 'info', label: 'Custom titles', description: String(sdk?.integration.titles.count ?? 0), ok: true },
+            ];
+        }
+        return [];
+    }
+
+    /**
+     * The agent settings report, made again only when the state database or
+     * the auto-run bundles changed: most refreshes (polling, settings, title
+     * commands) change neither, and reading the database is expensive.
+     */
+    private async agentSettings(targets: TargetState[]): Promise<InspectReport | null> {
+        let db: string;
+        try {
+            const st = fs.statSync(getStateDbPath());
+            db = `${st.size}:${st.mtimeMs}`;
+        } catch {
+            db = 'missing';
+        }
+        const key = JSON.stringify([db, targets.map(t => [t.path, t.exists, t.patched, t.patchable])]);
+        if (this.agent?.key !== key) this.agent = { key, report: await inspectAgentSettings() };
+        return this.agent.report;
+    }
+
+    private watch(files: string[]): void {
+        if (files.join('\n') === this.polled.join('\n')) return;
+        this.unwatch();
+        for (const file of files) fs.watchFile(file, { interval: POLL_INTERVAL, persistent: false }, this.onFileChange);
+        this.polled = files;
+    }
+
+    private unwatch(): void {
+        for (const file of this.polled) fs.unwatchFile(file, this.onFileChange);
+        this.polled = [];
+    }
+
+    dispose(): void {
+        clearTimeout(this.timer);
+        this.unwatch();
+        this.changed.dispose();
+    }
+}
@@ -0,0 +1,211 @@
+/**
+ * Better Antigravity — chat title commands.
+ *
+ * Custom titles live in the SDK's title map (`sdk.integration.titles`,
+ * conversation id -> title) and are shown by the title proxy in place of
+ * the auto-generated summaries. These commands rename, list, reset, export
+ * and import that map; an export can be imported on another machine or
+ * after a reinstall.
+ *
+ * @module titles
+ */
+
+import * as vscode from 'vscode';
+import * as fsp from 'fs/promises';
+import { AntigravitySDK } from 'antigravity-sdk';
+import { createTitleExport, parseTitleExport } from '../lib/titles';
+
+type Titles = AntigravitySDK['integration']['titles'];
+
+interface ConversationPick extends vscode.QuickPickItem {
+    id: string;
+}
+
+/**
+ * The SDK's title map, or null (with an error shown) when the SDK isn't up.
+ */
+function titlesOf(sdk: AntigravitySDK | null): Titles | null {
+    if (!sdk?.isInitialized) {
+        vscode.window.showErrorMessage('Chat titles need the Antigravity SDK, which is not initialized. See the Better Antigravity output.');
+        return null;
+    }
+    return sdk.integration.titles;
+}
+
+function customTitles(titles: Titles): Record<string, string> {
+    return { ...titles.getAll() };
+}
+
+/**
+ * Custom titles by conversation id; empty when the SDK isn't up.
+ */
+export function getCustomTitles(sdk: AntigravitySDK | null): Record<string, string> {
+    return sdk?.isInitialized ? customTitles(sdk.integration.titles) : {};
+}
+
+/**
+ * Conversations to pick from: the SDK's sessions with their current titles.
+ * The active conversation comes first.
+ */
+async function pickConversation(sdk: AntigravitySDK, titles: Titles, placeHolder: string): Promise<string | undefined> {
+    const custom = customTitles(titles);
+    const sessions: Array<{ id: string; title?: string }> = await sdk.cascade.getSessions();
+    const active = await sdk.cascade.getActiveSessionId();
+
+    const items: ConversationPick[] = sessions.map(s => ({
+        id: s.id,
+        label: custom[s.id] ?? s.title ?? s.id,
+        description: s.id === active ? 'current' : custom[s.id] ? 'custom title' : undefined,
+        detail: custom[s.id] && s.title ? s.title : undefined,
+    }));
+    items.sort((a, b) => Number(b.id === active) - Number(a.id === active));
+
+    return (await vscode.window.showQuickPick(items, { placeHolder, matchOnDescription: true, matchOnDetail: true }))?.id;
+}
+
+async function promptTitle(titles: Titles, id: string): Promise<boolean> {
+    const title = await vscode.window.showInputBox({
+        prompt: 'New conversation title (empty resets it to the auto summary)',
+        value: customTitles(titles)[id] ?? '',
+    });
+    if (title === undefined) return false;
+    if (title.trim()) titles.rename(id, title.trim());
+    else titles.remove(id);
+    return true;
+}
+
+// ─── Commands ───────────────────────────────────────────────────────────────
+
+/**
+ * Rename the current conversation (or a picked one when there is none).
+ */
+export async function renameConversation(sdk: AntigravitySDK | null): Promise<void> {
+    const titles = titlesOf(sdk);
+    if (!sdk || !titles) return;
+
+    const id = await sdk.cascade.getActiveSessionId() ?? await pickConversation(sdk, titles, 'Conversation to rename');
+    if (id) await promptTitle(titles, id);
+}
+
+/**
+ * List every custom title; rename or reset them from the list.
+ */
+export async function manageTitles(sdk: AntigravitySDK | null): Promise<void> {
+    const titles = titlesOf(sdk);
+    if (!titles) return;
+
+    const renameButton = { iconPath: new vscode.ThemeIcon('edit'), tooltip: 'Rename' };
+    const resetButton = { iconPath: new vscode.ThemeIcon('discard'), tooltip: 'Reset to auto summary' };
+
+    const pick = vscode.window.createQuickPick<ConversationPick>();
+    pick.placeholder = 'Custom chat titles (Enter to rename)';
+    pick.matchOnDescription = true;
+    const fill = () => {
+        pick.items = Object.entries(customTitles(titles)).map(([id, label]) => ({ id, label, description: id, buttons: [renameButton, resetButton] }));
+        if (pick.items.length === 0) pick.placeholder = 'No custom chat titles yet';
+    };
+    fill();
+
+    // The input box hides the list; come back to it afterwards
+    let renaming = false;
+    const rename = async (item: ConversationPick) => {
+        renaming = true;
+        pick.hide();
+        await promptTitle(titles, item.id);
+        renaming = false;
+        fill();
+        pick.show();
+    };
+    pick.onDidTriggerItemButton(async e => {
+        if (e.button === resetButton) {
+            titles.remove(e.item.id);
+            fill();
+        } else {
+            await rename(e.item);
+        }
+    });
+    pick.onDidAccept(() => {
+        if (pick.selectedItems[0]) rename(pick.selectedItems[0]);
+    });
+    pick.onDidHide(() => {
+        if (!renaming) pick.dispose();
+    });
+    pick.show();
+}
+
+/**
+ * Reset one or more conversations to their auto-generated summaries.
+ */
+export async function resetTitles(sdk: AntigravitySDK | null): Promise<void> {
+    const titles = titlesOf(sdk);
+    if (!titles) return;
+
+    const items = Object.entries(customTitles(titles)).map(([id, label]) => ({ id, label, description: id }));
+    if (items.length === 0) {
+        vscode.window.showInformationMessage('No custom chat titles to reset.');
+        return;
+    }
+
+    const picked = await vscode.window.showQuickPick(items, { canPickMany: true, placeHolder: 'Titles to reset to the auto summary' });
+    if (!picked?.length) return;
+    for (const item of picked) titles.remove(item.id);
+    vscode.window.showInformationMessage(`Reset ${picked.length} chat title(s).`);
+}
+
+/**
+ * Save every custom title to a JSON file.
+ */
+export async function exportTitles(sdk: AntigravitySDK | null): Promise<void> {
+    const titles = titlesOf(sdk);
+    if (!titles) return;
+
+    const uri = await vscode.window.showSaveDialog({
+        defaultUri: vscode.Uri.file('better-antigravity-titles.json'),
+        filters: { JSON: ['json'] },
+    });
+    if (!uri) return;
+
+    const data = createTitleExport(customTitles(titles));
+    await fsp.writeFile(uri.fsPath, JSON.stringify(data, null, 2) + '\n', 'utf8');
+    vscode.window.showInformationMessage(`Exported ${Object.keys(data.titles).length} chat title(s) to ${uri.fsPath}.`);
+}
+
+/**
+ * Load titles from an exported file, merged into or replacing the current ones.
+ */
+export async function importTitles(sdk: AntigravitySDK | null): Promise<void> {
+    const titles = titlesOf(sdk);
+    if (!titles) return;
+
+    const [uri] = await vscode.window.showOpenDialog({ canSelectMany: false, filters: { JSON: ['json'] } }) ?? [];
+    if (!uri) return;
+
+    let imported: Record<string, string>;
+    try {
+        imported = parseTitleExport(await fsp.readFile(uri.fsPath, 'utf8'));
+    } catch (err: any) {
+        vscode.window.showErrorMessage(`Could not import chat titles: ${err.message}`);
+        return;
+    }
+
+    const current = customTitles(titles);
+    let replace = false;
+    if (Object.keys(current).length > 0) {
+        const action = await vscode.window.showWarningMessage(
+            `Import ${Object.keys(imported).length} chat title(s). You have ${Object.keys(current).length} custom title(s) already.`,
+            { modal: true },
+            'Merge',
+            'Replace All',
+        );
+        if (!action) return;
+        replace = action === 'Replace All';
+    }
+
+    if (replace) {
+        for (const id of Object.keys(current)) {
+            if (!(id in imported)) titles.remove(id);
+        }
+    }
+    for (const [id, title] of Object.entries(imported)) titles.rename(id, title);
+    vscode.window.showInformationMessage(`Imported ${Object.keys(imported).length} chat title(s).`);
+}